@@ -0,0 +1,88 @@
+/**
+ * Artist Aggregation
+ *
+ * Groups a playlist's scored tracks by the artist that drove each score, so an
+ * artist with eight songs on the playlist shows up as one row instead of eight.
+ * Also the per-credit view of an analysis that comparisons and profiles build on.
+ */
+
+/**
+ * Get every scored artist credit on a playlist, with when it was added
+ * Falls back to the headline artist for results without per-credit breakdowns
+ * @param {Object} analysis - Playlist analysis result
+ * @returns {Array<Object>} Credits with their track, addedAt and playlistId
+ */
+function getArtistCredits(analysis) {
+  return analysis.tracks.flatMap(track => (track.artists || [track]).map(credit => ({
+    artistId: credit.artistId,
+    artistName: credit.artistName,
+    cloutScore: credit.cloutScore,
+    discoveryTier: credit.discoveryTier,
+    tierEmoji: credit.tierEmoji,
+    tierColor: credit.tierColor,
+    followersWhenAdded: credit.followersWhenAdded,
+    trackName: track.trackName,
+    addedAt: track.addedAt,
+    playlistId: analysis.playlistId
+  })));
+}
+
+/**
+ * Keep each artist's earliest-added credit
+ * @param {Array<Object>} credits - Credits from getArtistCredits
+ * @returns {Map} artistId -> earliest credit
+ */
+function getEarliestCredits(credits) {
+  const earliest = new Map();
+
+  for (const credit of credits) {
+    const existing = earliest.get(credit.artistId);
+    if (!existing || new Date(credit.addedAt) < new Date(existing.addedAt)) {
+      earliest.set(credit.artistId, credit);
+    }
+  }
+
+  return earliest;
+}
+
+/**
+ * Group scored tracks by artist
+ * @param {Array<Object>} tracks - Scored tracks
+ * @returns {Array<Object>} One row per artist, best first-add score first
+ */
+function groupTracksByArtist(tracks) {
+  const groups = new Map(); // artistId -> tracks
+
+  for (const track of tracks) {
+    const group = groups.get(track.artistId) || [];
+    group.push(track);
+    groups.set(track.artistId, group);
+  }
+
+  const artists = [...groups.values()].map(group => {
+    const first = group.reduce((earliest, track) => (new Date(track.addedAt) < new Date(earliest.addedAt) ? track : earliest));
+    const best = group.reduce((top, track) => (track.cloutScore > top.cloutScore ? track : top));
+
+    return {
+      artistId: first.artistId,
+      artistName: first.artistName,
+      trackCount: group.length,
+      firstAddedAt: first.addedAt,
+      firstTrackName: first.trackName,
+      // The score from when the artist was first added - what counts when each artist is counted once
+      firstScore: first.cloutScore,
+      bestScore: best.cloutScore,
+      bestTrackName: best.trackName,
+      followersWhenAdded: first.followersWhenAdded,
+      currentFollowers: first.currentFollowers,
+      listenerEstimate: first.listenerEstimate,
+      discoveryTier: first.discoveryTier,
+      tierEmoji: first.tierEmoji,
+      tierColor: first.tierColor
+    };
+  });
+
+  return artists.sort((a, b) => b.firstScore - a.firstScore);
+}
+
+module.exports = { groupTracksByArtist, getArtistCredits, getEarliestCredits };
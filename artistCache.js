@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Artist Data Cache
+ *
+ * Size-bounded LRU cache for Spotify artist objects, persisted to disk so a
+ * redeploy or crash restart doesn't send every artist back to Spotify.
+ * Popular artists barely move hour to hour, so they're kept longer than small ones.
+ */
+
+class ArtistCache {
+  /**
+   * @param {string} filePath - Where to persist the cache
+   * @param {Object} options - { maxSize, popularTtl, smallTtl, popularThreshold }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxSize = options.maxSize || 5000;
+    this.popularTtl = options.popularTtl || 6 * 60 * 60 * 1000; // 6 hours
+    this.smallTtl = options.smallTtl || 60 * 60 * 1000; // 1 hour
+    this.popularThreshold = options.popularThreshold || 1000000; // followers
+    this.entries = new Map(); // artistId -> { data, timestamp }, least recently used first
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Load the cache from disk, dropping anything already expired
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      for (const [artistId, entry] of saved) {
+        if (!this.isExpired(entry)) {
+          this.entries.set(artistId, entry);
+        }
+      }
+
+      this.evict();
+      console.log(`💾 Loaded ${this.entries.size} cached artists from disk`);
+    } catch (error) {
+      // A corrupt cache file just means a cold cache
+      console.error('⚠️  Could not load artist cache, starting empty:', error.message);
+    }
+  }
+
+  /**
+   * Get how long an artist stays fresh
+   * @param {Object} data - Spotify artist object
+   * @returns {number} TTL in milliseconds
+   */
+  getTtl(data) {
+    return (data.followers?.total || 0) >= this.popularThreshold ? this.popularTtl : this.smallTtl;
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.timestamp >= this.getTtl(entry.data);
+  }
+
+  /**
+   * Get a fresh artist from the cache
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Object|null} Artist data or null if missing/expired
+   */
+  get(artistId) {
+    const entry = this.entries.get(artistId);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(artistId);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(artistId);
+    this.entries.set(artistId, entry);
+
+    return entry.data;
+  }
+
+  /**
+   * Add or refresh an artist
+   * @param {string} artistId - Spotify artist ID
+   * @param {Object} data - Spotify artist object
+   */
+  set(artistId, data) {
+    this.entries.delete(artistId);
+    this.entries.set(artistId, { data, timestamp: Date.now() });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop least recently used artists until we're within maxSize
+   */
+  evict() {
+    while (this.entries.size > this.maxSize) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  /**
+   * Save to disk shortly after the last change (batches up a whole playlist's worth of sets)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 5000);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk atomically (temp file + rename)
+   */
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify([...this.entries.entries()]));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Failed to persist artist cache:', error.message);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+const ARTIST_CACHE_PATH = process.env.ARTIST_CACHE_PATH ||
+  path.join(__dirname, 'data', 'artist-cache.json');
+
+module.exports = new ArtistCache(ARTIST_CACHE_PATH, {
+  maxSize: parseInt(process.env.ARTIST_CACHE_MAX_SIZE || '5000'),
+  popularTtl: parseInt(process.env.ARTIST_CACHE_POPULAR_TTL_MINUTES || '360') * 60 * 1000,
+  smallTtl: parseInt(process.env.ARTIST_CACHE_SMALL_TTL_MINUTES || '60') * 60 * 1000,
+  popularThreshold: parseInt(process.env.ARTIST_CACHE_POPULAR_FOLLOWERS || '1000000')
+});
@@ -1,9 +1,17 @@
-const axios = require('axios');
+const axios = require('./httpClient');
+const scoringModel = require('./scoringModel');
+const platformGrowth = require('./platformGrowth');
+
+// The growth formulas count in 30-day months
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30;
+
+// The page's listener series lives under this key, as [{ date, value }] entries
+const LISTENER_SERIES_KEY = 'monthlyListeners';
 
 /**
  * Artist.tools Historical Data Scraper
  * 
- * This module attempts to fetch historical monthly listener data from artist.tools
+ * This module fetches historical monthly listener data from artist.tools
  * Note: This is a scraping approach - ideally we'd use their API if available
  */
 
@@ -11,6 +19,77 @@ class ArtistToolsScraper {
   constructor() {
     this.baseUrl = 'https://www.artist.tools';
     this.cache = new Map();
+    this.cacheTtl = 24 * 60 * 60 * 1000; // 24 hours
+
+    // Page fetches are throttled: a few at a time, spaced out, so one big playlist
+    // can't fire hundreds of back-to-back scrapes
+    this.maxConcurrent = parseInt(process.env.ARTIST_TOOLS_CONCURRENCY || '3');
+    this.minIntervalMs = parseInt(process.env.ARTIST_TOOLS_MIN_INTERVAL_MS || '250');
+    this.active = 0;
+    this.lastStart = 0;
+    this.waiting = []; // Resolvers for queued fetches, oldest first
+    this.inFlight = new Map(); // spotifyId -> pending fetch, so concurrent lookups share one
+  }
+
+  /**
+   * Wait for a fetch slot
+   * @returns {Promise<void>}
+   */
+  async acquireSlot() {
+    if (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+
+    const wait = this.lastStart + this.minIntervalMs - Date.now();
+    this.lastStart = Math.max(Date.now(), this.lastStart + this.minIntervalMs);
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  releaseSlot() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  /**
+   * Get an artist's history only if it's already cached
+   * @param {string} spotifyId - Spotify artist ID
+   * @returns {Object|null} Historical data object, or null if we'd have to fetch it
+   */
+  getCachedHistoricalData(spotifyId) {
+    const cached = this.cache.get(`${spotifyId}`);
+    return cached && Date.now() - cached.timestamp < this.cacheTtl ? cached.data : null;
+  }
+
+  /**
+   * Fetch many artists' histories into the cache, in parallel up to the throttle
+   * Stops waiting once the time budget runs out - artists not fetched by then are
+   * left for the estimate (their fetches still finish and fill the cache for next time)
+   * @param {Array<Object>} artists - Spotify artists ({ id, name })
+   * @param {number} budgetMs - How long to wait at most
+   * @returns {Promise<Object>} { fetched, total }
+   */
+  async prefetchHistories(artists, budgetMs) {
+    const pending = artists.filter(artist => !this.getCachedHistoricalData(artist.id));
+    let fetched = 0;
+
+    const all = Promise.all(pending.map(artist =>
+      this.getHistoricalData(artist.name, artist.id).then(() => { fetched++; })));
+
+    let timer;
+    const budget = new Promise(resolve => { timer = setTimeout(resolve, budgetMs); });
+
+    await Promise.race([all, budget]);
+    clearTimeout(timer);
+
+    if (fetched < pending.length) {
+      console.log(`⏱️  artist.tools budget used up - ${pending.length - fetched} of ${pending.length} histories not ready in time`);
+    }
+
+    return { fetched: artists.length - pending.length + fetched, total: artists.length };
   }
 
   /**
@@ -20,18 +99,34 @@ class ArtistToolsScraper {
    * @returns {Promise<Object>} Historical data object
    */
   async getHistoricalData(artistName, spotifyId) {
-    // Check cache first
-    const cacheKey = `${spotifyId}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    // Check cache first (failures are cached too so we don't hammer the site)
+    const cached = this.getCachedHistoricalData(spotifyId);
+    if (cached) return cached;
+
+    if (!this.inFlight.has(spotifyId)) {
+      const fetch = this.fetchHistoricalData(artistName, spotifyId)
+        .finally(() => this.inFlight.delete(spotifyId));
+      this.inFlight.set(spotifyId, fetch);
     }
 
+    return this.inFlight.get(spotifyId);
+  }
+
+  /**
+   * Fetch and parse an artist's page (through the throttle) and cache the result
+   * @param {string} artistName - Name of the artist
+   * @param {string} spotifyId - Spotify artist ID
+   * @returns {Promise<Object>} Historical data object
+   */
+  async fetchHistoricalData(artistName, spotifyId) {
+    let historicalData;
+
+    await this.acquireSlot();
+
     try {
       // Artist.tools uses Spotify IDs in their URLs
       const url = `${this.baseUrl}/artist/${spotifyId}`;
       
-      // For now, we'll make a simple request
-      // In production, we'd need proper scraping with puppeteer or their API
       const response = await axios.get(url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -39,31 +134,274 @@ class ArtistToolsScraper {
         timeout: 10000
       });
 
-      // Parse the HTML to extract historical data
-      // This is a placeholder - actual implementation would parse the page
-      const historicalData = {
+      const dataPoints = this.parseHistoricalData(response.data);
+
+      historicalData = {
         artistName,
         spotifyId,
-        available: false,
-        message: 'Artist.tools integration pending - need to parse HTML or use their API',
-        dataPoints: []
+        available: dataPoints.length > 0,
+        dataPoints
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, historicalData);
-      
-      return historicalData;
+      if (dataPoints.length === 0) {
+        historicalData.message = 'No monthly listener history found on artist.tools page';
+      }
     } catch (error) {
       console.error(`Error fetching data for ${artistName}:`, error.message);
       
-      return {
+      historicalData = {
         artistName,
         spotifyId,
         available: false,
         error: error.message,
         dataPoints: []
       };
+    } finally {
+      this.releaseSlot();
+    }
+
+    // Cache the result
+    this.cache.set(`${spotifyId}`, { data: historicalData, timestamp: Date.now() });
+
+    return historicalData;
+  }
+
+  /**
+   * Parse the monthly listener time series out of an artist.tools page
+   * The page is server-rendered with its data embedded as JSON in script tags; the
+   * listener history is the array under LISTENER_SERIES_KEY. Other arrays on the page
+   * (chart coordinates, playlist reach, ...) are ignored even if they look like series
+   * @param {string} html - Raw page HTML
+   * @returns {Array<Object>} Data points sorted oldest first: { date, value }
+   */
+  parseHistoricalData(html) {
+    if (typeof html !== 'string') return [];
+
+    const scriptPattern = /<script[^>]*type="application\/(?:ld\+)?json"[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+
+    while ((match = scriptPattern.exec(html)) !== null) {
+      let json;
+      try {
+        json = JSON.parse(match[1]);
+      } catch (error) {
+        continue;
+      }
+
+      const raw = this.findListenerSeries(json);
+      if (!raw) continue;
+
+      const points = raw.map(entry => this.toDataPoint(entry));
+
+      // A malformed entry means the page format changed - don't trust any of it
+      if (points.length === 0 || points.some(point => !point)) return [];
+
+      return points.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    return [];
+  }
+
+  /**
+   * Find the array stored under LISTENER_SERIES_KEY anywhere in parsed JSON
+   * @param {*} node - Any JSON value
+   * @returns {Array|null} Raw series entries, or null if the key isn't there
+   */
+  findListenerSeries(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (!Array.isArray(node) && Array.isArray(node[LISTENER_SERIES_KEY])) {
+      return node[LISTENER_SERIES_KEY];
+    }
+
+    for (const value of Object.values(node)) {
+      const series = this.findListenerSeries(value);
+      if (series) return series;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a raw series entry ({ date, value }) into a data point
+   * @param {*} entry - Raw series entry
+   * @returns {Object|null} { date, value } or null if it isn't a valid entry
+   */
+  toDataPoint(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+
+    const date = new Date(entry.date);
+    const value = typeof entry.value === 'number' ? entry.value : NaN;
+
+    if (typeof entry.date !== 'string' || isNaN(date.getTime()) || !Number.isFinite(value) || value < 0) return null;
+
+    return { date: date.toISOString(), value: Math.round(value) };
+  }
+
+  /**
+   * Get monthly listeners at a date from a parsed series
+   * Linearly interpolates between the surrounding data points
+   * @param {Array<Object>} dataPoints - Series sorted oldest first
+   * @param {Date} date - Date to look up
+   * @returns {number|null} Listeners at date, or null if the date is before the series starts
+   */
+  getListenersAtDate(dataPoints, date) {
+    if (!dataPoints || dataPoints.length === 0) return null;
+
+    const time = date.getTime();
+    const first = dataPoints[0];
+    const last = dataPoints[dataPoints.length - 1];
+
+    // We don't extrapolate backwards - the estimate handles dates before history starts
+    if (time < new Date(first.date).getTime()) return null;
+    if (time >= new Date(last.date).getTime()) return last.value;
+
+    for (let i = 1; i < dataPoints.length; i++) {
+      const before = dataPoints[i - 1];
+      const after = dataPoints[i];
+      const beforeTime = new Date(before.date).getTime();
+      const afterTime = new Date(after.date).getTime();
+
+      if (time <= afterTime) {
+        if (afterTime === beforeTime) return after.value;
+        const progress = (time - beforeTime) / (afterTime - beforeTime);
+        return Math.round(before.value + (after.value - before.value) * progress);
+      }
+    }
+
+    return last.value;
+  }
+
+  /**
+   * Find the first bracket whose upper bound is above a value
+   * Brackets are sorted ascending and a null bound means "no upper limit"
+   * @param {Array<Object>} brackets - Bracket list from the scoring model
+   * @param {string} key - Name of the upper bound field
+   * @param {number} value - Value to place
+   * @returns {Object|null} Matching bracket
+   */
+  findBracket(brackets, key, value) {
+    return brackets.find(bracket => bracket[key] === null || value < bracket[key]) || null;
+  }
+
+  /**
+   * How much Spotify itself grew between two dates
+   * Models with a platformGrowth.table use the real quarter-by-quarter growth,
+   * older models a flat monthlyRate
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @param {Object} model - Scoring model (defaults to the active one)
+   * @returns {number} Growth multiplier (1.2 = the platform grew 20%)
+   */
+  getPlatformInflation(from, to, model = scoringModel.active) {
+    const { monthlyRate, table } = model.platformGrowth;
+
+    if (table) {
+      return platformGrowth.getInflation(table, from, to, monthlyRate);
+    }
+    return Math.pow(1 + monthlyRate, (to - from) / MONTH_MS);
+  }
+
+  /**
+   * Spotify's growth rate around a date
+   * @param {Date} date - Date to look up
+   * @param {Object} model - Scoring model (defaults to the active one)
+   * @returns {number} Monthly growth rate
+   */
+  getPlatformMonthlyRate(date, model = scoringModel.active) {
+    const { monthlyRate, table } = model.platformGrowth;
+    return table ? platformGrowth.getMonthlyRate(table, date, monthlyRate) : monthlyRate;
+  }
+
+  /**
+   * Size-bucket growth rate for an artist: artist growth by current size plus platform growth
+   * @param {number} currentListeners - Current monthly listeners
+   * @param {Object} model - Scoring model (defaults to the active one)
+   * @returns {number} Combined monthly growth rate
+   */
+  getBucketGrowthRate(currentListeners, model = scoringModel.active) {
+    // Spotify's user growth causes natural inflation in monthly listeners
+    const spotifyGrowthRate = this.getPlatformMonthlyRate(new Date(), model);
+    
+    // Artist growth rate (varies by size)
+    // Smaller artists grow faster percentage-wise
+    const artistGrowthRate = this.findBracket(model.artistGrowth, 'maxListeners', currentListeners).monthlyRate;
+    
+    return artistGrowthRate + spotifyGrowthRate;
+  }
+
+  /**
+   * Fit an artist-specific growth curve to their history
+   * Log-linear least squares (ln listeners = intercept + slope × months), with the slope
+   * pulled toward the size-bucket rate: the bucket counts as priorStrength months² of
+   * evidence, so two snapshots a day apart barely move it while a year of history
+   * mostly overrides it. Models without growthFit always use the bucket rate.
+   * Fit quality is r2 (floored at 0 - the prior can pull the line off a noisy flat series)
+   * and logRmse, the typical miss in ln units (0.1 ≈ 10%).
+   * @param {Array<Object>} dataPoints - Series sorted oldest first: { date, value }
+   * @param {number} currentListeners - Current monthly listeners (picks the bucket)
+   * @param {Object} model - Scoring model (defaults to the active one)
+   * @returns {Object} { method, monthlyRate, priorRate, intercept, slope, r2, logRmse, points, firstDate, spanMonths, priorWeight }
+   */
+  fitGrowthCurve(dataPoints, currentListeners, model = scoringModel.active) {
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+    const priorRate = this.getBucketGrowthRate(currentListeners, model);
+    const prior = {
+      method: 'bucket',
+      monthlyRate: priorRate,
+      priorRate,
+      intercept: null,
+      slope: round(Math.log(1 + priorRate), 5),
+      r2: null,
+      logRmse: null,
+      points: 0,
+      firstDate: null,
+      spanMonths: 0,
+      priorWeight: 1
+    };
+
+    const points = (dataPoints || []).filter(point => point.value > 0);
+    if (!model.growthFit || points.length < 2) return { ...prior, points: points.length };
+
+    const start = new Date(points[0].date).getTime();
+    const xs = points.map(point => (new Date(point.date).getTime() - start) / MONTH_MS);
+    const ys = points.map(point => Math.log(point.value));
+    const xMean = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const yMean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+      sxx += (xs[i] - xMean) ** 2;
+      sxy += (xs[i] - xMean) * (ys[i] - yMean);
+      syy += (ys[i] - yMean) ** 2;
     }
+
+    // All points on the same date - nothing to fit
+    if (sxx === 0) return { ...prior, points: points.length };
+
+    const { priorStrength } = model.growthFit;
+    const slope = (sxy + priorStrength * prior.slope) / (sxx + priorStrength);
+    const intercept = yMean - slope * xMean;
+
+    const residual = xs.reduce((sum, x, i) => sum + (ys[i] - (intercept + slope * x)) ** 2, 0);
+
+    return {
+      method: 'fitted',
+      monthlyRate: round(Math.exp(slope) - 1, 5),
+      priorRate,
+      // Intercept is ln(listeners) at the first point's date
+      intercept: round(intercept, 4),
+      slope: round(slope, 5),
+      // A perfectly flat series is perfectly fit by a flat line
+      r2: round(syy > 0 ? Math.max(0, 1 - residual / syy) : 1, 3),
+      logRmse: round(Math.sqrt(residual / points.length), 4),
+      points: points.length,
+      firstDate: points[0].date,
+      spanMonths: round(xs[xs.length - 1], 1),
+      priorWeight: round(priorStrength / (sxx + priorStrength), 3)
+    };
   }
 
   /**
@@ -71,35 +409,35 @@ class ArtistToolsScraper {
    * This is a fallback when historical data isn't available
    * @param {number} currentListeners - Current monthly listeners
    * @param {Date} addedDate - Date the song was added
+   * @param {Object} model - Scoring model (defaults to the active one)
+   * @param {Object} curve - Growth curve from fitGrowthCurve (defaults to the size bucket)
    * @returns {number} Estimated listeners at added date
    */
-  estimateListenersAtDate(currentListeners, addedDate) {
+  estimateListenersAtDate(currentListeners, addedDate, model = scoringModel.active, curve = null) {
     const now = new Date();
-    const monthsAgo = (now - addedDate) / (1000 * 60 * 60 * 24 * 30);
-    
-    // Spotify's average user growth is ~15-20% per year
-    // This causes natural inflation in monthly listeners
-    // We'll use 17% annual growth (1.3% monthly) as baseline
-    const spotifyGrowthRate = 0.013; // 1.3% per month
+    const monthsAgo = (now - addedDate) / MONTH_MS;
+    const bucketRate = this.getBucketGrowthRate(currentListeners, model);
     
-    // Artist growth rate (varies by size)
-    // Smaller artists grow faster percentage-wise
-    let artistGrowthRate;
-    if (currentListeners < 10000) {
-      artistGrowthRate = 0.05; // 5% monthly for small artists
-    } else if (currentListeners < 100000) {
-      artistGrowthRate = 0.03; // 3% monthly for medium artists
-    } else if (currentListeners < 1000000) {
-      artistGrowthRate = 0.02; // 2% monthly for large artists
-    } else {
-      artistGrowthRate = 0.01; // 1% monthly for mega artists
+    // A fitted curve only describes the stretch its history covers - an artist who blew
+    // up last month wasn't growing that fast for years before - so before the history
+    // starts we fall back to the bucket. Fitted rates already include platform growth.
+    let fittedMonths = 0;
+    if (curve?.method === 'fitted') {
+      fittedMonths = Math.min(monthsAgo, Math.max(0, (now - new Date(curve.firstDate)) / MONTH_MS));
     }
+    const fittedGrowth = Math.pow(1 + (curve?.method === 'fitted' ? curve.monthlyRate : bucketRate), fittedMonths);
     
-    // Combined growth rate (artist + platform)
-    const combinedGrowthRate = artistGrowthRate + spotifyGrowthRate;
+    // Bucket months: with a growth table, the platform part follows the real quarters
+    // those months fell in instead of today's rate
+    let bucketGrowth = Math.pow(1 + bucketRate, monthsAgo - fittedMonths);
+    if (model.platformGrowth.table) {
+      const artistRate = this.findBracket(model.artistGrowth, 'maxListeners', currentListeners).monthlyRate;
+      const bucketEnd = new Date(now.getTime() - fittedMonths * MONTH_MS);
+      bucketGrowth = Math.pow(1 + artistRate, monthsAgo - fittedMonths) * this.getPlatformInflation(addedDate, bucketEnd, model);
+    }
     
-    // Calculate past listeners accounting for both growths
-    const estimatedPastListeners = currentListeners / Math.pow(1 + combinedGrowthRate, monthsAgo);
+    // Run the curve backwards from today's number
+    const estimatedPastListeners = currentListeners / fittedGrowth / bucketGrowth;
     
     return Math.floor(estimatedPastListeners);
   }
@@ -121,21 +459,19 @@ class ArtistToolsScraper {
    * @param {number} currentListeners - Current monthly listeners
    * @param {number} pastListeners - Past monthly listeners
    * @param {Date} addedDate - When the track was added
+   * @param {Object} model - Scoring model (defaults to the active one)
    * @returns {number} Inflation-adjusted growth percentage
    */
-  calculateInflationAdjustedGrowth(currentListeners, pastListeners, addedDate) {
-    const now = new Date();
-    const monthsAgo = (now - addedDate) / (1000 * 60 * 60 * 24 * 30);
-    
-    // Handle edge case: if pastListeners is 0 or very small (< 10)
+  calculateInflationAdjustedGrowth(currentListeners, pastListeners, addedDate, model = scoringModel.active) {
+    // Handle edge case: if pastListeners is 0 or very small
     // Use a minimum baseline to avoid division by zero
-    if (pastListeners < 10) {
-      pastListeners = 10;
+    if (pastListeners < model.minimumPastListeners) {
+      pastListeners = model.minimumPastListeners;
     }
     
-    // Spotify platform growth: ~17% per year = 1.3% per month
-    const spotifyGrowthRate = 0.013;
-    const platformInflation = Math.pow(1 + spotifyGrowthRate, monthsAgo);
+    // Spotify platform growth between adding and now (~17% per year in v1,
+    // the actual quarters in between for models with a growth table)
+    const platformInflation = this.getPlatformInflation(addedDate, new Date(), model);
     
     // Adjust current listeners to remove platform inflation
     const inflationAdjustedCurrent = currentListeners / platformInflation;
@@ -151,78 +487,27 @@ class ArtistToolsScraper {
    * @param {number} listenerAtAdd - Listeners when added
    * @param {number} currentListeners - Current listeners
    * @param {Date} addedDate - When track was added
+   * @param {Object} model - Scoring model (defaults to the active one)
    * @returns {Object} Clout score with breakdown
    */
-  calculateCloutScore(listenerAtAdd, currentListeners, addedDate) {
+  calculateCloutScore(listenerAtAdd, currentListeners, addedDate, model = scoringModel.active) {
+    // How much Spotify grew since - shown in breakdowns
+    const platformInflation = this.getPlatformInflation(addedDate, new Date(), model);
+    
     // Get inflation-adjusted growth
     const inflationAdjustedGrowth = this.calculateInflationAdjustedGrowth(
       currentListeners, 
       listenerAtAdd, 
-      addedDate
+      addedDate,
+      model
     );
     
-    // Enhanced discovery tier system with more granular levels
-    let earlyDiscoveryMultiplier = 1;
-    let discoveryTier = 'Mainstream';
-    let tierEmoji = '📻';
-    let tierColor = '#95A5A6';
-    
-    if (listenerAtAdd < 100) {
-      earlyDiscoveryMultiplier = 20;
-      discoveryTier = 'Bedroom Producer';
-      tierEmoji = '🎧';
-      tierColor = '#FF10F0';
-    } else if (listenerAtAdd < 500) {
-      earlyDiscoveryMultiplier = 15;
-      discoveryTier = 'Soundcloud Rapper';
-      tierEmoji = '☁️';
-      tierColor = '#FF6B35';
-    } else if (listenerAtAdd < 1000) {
-      earlyDiscoveryMultiplier = 12;
-      discoveryTier = 'Underground Legend';
-      tierEmoji = '🔥';
-      tierColor = '#FFD700';
-    } else if (listenerAtAdd < 5000) {
-      earlyDiscoveryMultiplier = 8;
-      discoveryTier = 'Local Hero';
-      tierEmoji = '⭐';
-      tierColor = '#FFA500';
-    } else if (listenerAtAdd < 10000) {
-      earlyDiscoveryMultiplier = 6;
-      discoveryTier = 'Early Adopter';
-      tierEmoji = '🎯';
-      tierColor = '#9B59B6';
-    } else if (listenerAtAdd < 50000) {
-      earlyDiscoveryMultiplier = 4;
-      discoveryTier = 'Tastemaker';
-      tierEmoji = '💎';
-      tierColor = '#3498DB';
-    } else if (listenerAtAdd < 100000) {
-      earlyDiscoveryMultiplier = 3;
-      discoveryTier = 'Ahead of Curve';
-      tierEmoji = '🌊';
-      tierColor = '#1ABC9C';
-    } else if (listenerAtAdd < 500000) {
-      earlyDiscoveryMultiplier = 2.5;
-      discoveryTier = 'Indie Enthusiast';
-      tierEmoji = '🎸';
-      tierColor = '#16A085';
-    } else if (listenerAtAdd < 1000000) {
-      earlyDiscoveryMultiplier = 2;
-      discoveryTier = 'Rising Star Hunter';
-      tierEmoji = '🌟';
-      tierColor = '#27AE60';
-    } else if (listenerAtAdd < 5000000) {
-      earlyDiscoveryMultiplier = 1.5;
-      discoveryTier = 'Trending Finder';
-      tierEmoji = '📈';
-      tierColor = '#2ECC71';
-    } else if (listenerAtAdd < 10000000) {
-      earlyDiscoveryMultiplier = 1.2;
-      discoveryTier = 'Popular Follower';
-      tierEmoji = '🎵';
-      tierColor = '#BDC3C7';
-    }
+    // Discovery tier from the model's tier table (smallest artists get the biggest multiplier)
+    const tier = this.findBracket(model.tiers, 'maxListeners', listenerAtAdd);
+    const earlyDiscoveryMultiplier = tier.multiplier;
+    const discoveryTier = tier.name;
+    const tierEmoji = tier.emoji;
+    const tierColor = tier.color;
     
     // Calculate absolute growth (raw number of new followers)
     const absoluteGrowth = currentListeners - listenerAtAdd;
@@ -238,15 +523,12 @@ class ArtistToolsScraper {
     
     // OPTION 4: Cap multiplier if artist didn't "make it big"
     // Artists who end up small don't get the full early discovery bonus
+    // (v1: max 2x under 10K, 4x under 50K, 6x under 100K, full multiplier above)
     let cappedMultiplier = earlyDiscoveryMultiplier;
-    if (currentListeners < 10000) {
-      cappedMultiplier = Math.min(earlyDiscoveryMultiplier, 2); // Max 2x for artists under 10K
-    } else if (currentListeners < 50000) {
-      cappedMultiplier = Math.min(earlyDiscoveryMultiplier, 4); // Max 4x for artists under 50K
-    } else if (currentListeners < 100000) {
-      cappedMultiplier = Math.min(earlyDiscoveryMultiplier, 6); // Max 6x for artists under 100K
+    const cap = this.findBracket(model.multiplierCaps, 'maxCurrentListeners', currentListeners);
+    if (cap) {
+      cappedMultiplier = Math.min(earlyDiscoveryMultiplier, cap.cap);
     }
-    // Artists over 100K get full multiplier
     
     // Combined score: percentage growth × early discovery multiplier × volume weight
     // Negative growth will result in negative scores (bad picks hurt you!)
@@ -255,8 +537,9 @@ class ArtistToolsScraper {
     // OPTION 3: Relevance factor based on final artist size
     // Only artists who became relevant contribute meaningfully
     // Adjusted to be less harsh - artists at 10K get 0.7 instead of 0.57
-    // Scale: 10M followers = 1.0, 1M = 0.9, 100K = 0.8, 10K = 0.7
-    const relevanceFactor = Math.min((Math.log10(Math.max(currentListeners, 1)) + 3) / 10, 1);
+    // v1 scale: 10M followers = 1.0, 1M = 0.9, 100K = 0.8, 10K = 0.7
+    const { offset, divisor, max } = model.relevance;
+    const relevanceFactor = Math.min((Math.log10(Math.max(currentListeners, 1)) + offset) / divisor, max);
     
     // Apply relevance multiplier
     const finalScore = baseScore * relevanceFactor;
@@ -265,15 +548,19 @@ class ArtistToolsScraper {
       score: Math.round(finalScore),
       inflationAdjustedGrowth: Math.round(inflationAdjustedGrowth),
       rawGrowth: this.calculateGrowth(currentListeners, listenerAtAdd),
+      platformInflation: Math.round(platformInflation * 1000) / 1000,
       absoluteGrowth: absoluteGrowth,
       volumeWeight: Math.round(volumeWeight * 100) / 100,
       earlyDiscoveryMultiplier,
+      multiplierCap: cap ? cap.cap : null,
       cappedMultiplier: Math.round(cappedMultiplier * 10) / 10,
+      baseScore: Math.round(baseScore),
       relevanceFactor: Math.round(relevanceFactor * 100) / 100,
       discoveryTier,
       tierEmoji,
       tierColor,
-      listenersAtDiscovery: listenerAtAdd
+      listenersAtDiscovery: listenerAtAdd,
+      modelVersion: model.version
     };
   }
 
@@ -1,7 +1,77 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import CompareView from './CompareView.jsx';
+import LeaderboardView from './LeaderboardView.jsx';
+import MyCloutView from './MyCloutView.jsx';
+import DiscoveryTimeline from './DiscoveryTimeline.jsx';
+import SimulatorView from './SimulatorView.jsx';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import { extractPlaylistId } from './playlistUrl.js';
 import './App.css';
 
+// What the "then" and "now" numbers in a result measure
+function audienceName(listenerMetric) {
+  return listenerMetric === 'monthlyListeners' ? 'monthly listeners' : 'followers';
+}
+
+// "~12,000 (4,800-30,000)" for modeled estimates, the plain number otherwise
+function formatAudience(value, estimate) {
+  if (value === undefined || value === null) return 'N/A';
+  if (estimate?.method !== 'modeled') return value.toLocaleString();
+  return `~${value.toLocaleString()} (${estimate.low.toLocaleString()}-${estimate.high.toLocaleString()})`;
+}
+
+// "+3.2%/month"
+function formatMonthlyRate(rate) {
+  return `${rate >= 0 ? '+' : ''}${+(rate * 100).toFixed(1)}%/month`;
+}
+
+// How an estimated "then" value was worked out
+function describeEstimate(curve) {
+  if (curve?.method === 'fitted') {
+    return ` - estimated by running their own growth curve backwards (${formatMonthlyRate(curve.monthlyRate)}, ` +
+      `fitted to ${curve.points} ${curve.source} points over ${curve.spanMonths} months, R² ${curve.r2}).`;
+  }
+  if (curve) {
+    return ` - estimated from the typical growth for an artist their size (${formatMonthlyRate(curve.monthlyRate)}), since no history was found.`;
+  }
+  return ' - estimated from the growth model, since no history was found for that date.';
+}
+
+// Drill-down for one track: where "then" came from and the formula step by step
+function TrackExplanation({ track }) {
+  // The breakdown belongs to the credit that drove the score
+  const driver = track.artists?.find(credit => credit.artistId === track.drivingArtistId) || track;
+
+  if (driver.volumeWeight === undefined) {
+    return <div className="notice">This result was saved before full breakdowns were kept - analyze the playlist again to see one.</div>;
+  }
+
+  const audience = audienceName(driver.listenerMetric);
+  const estimate = driver.listenerEstimate;
+
+  return (
+    <div className="track-explanation">
+      <p>
+        <strong>{driver.artistName}</strong> had {driver.followersWhenAdded.toLocaleString()} {audience} when this track was added
+        {driver.followersWhenAddedEstimated
+          ? describeEstimate(driver.growthCurve)
+          : ` - observed (${driver.followersWhenAddedSource}).`}
+        {' '}They have {formatAudience(driver.currentFollowers, estimate)} now
+        {estimate?.method === 'observed' && ` - observed (${estimate.source}).`}
+        {estimate?.method === 'modeled' && ` - estimated from ${driver.spotifyFollowers.toLocaleString()} followers and a popularity of ${driver.popularity}.`}
+        {(!estimate || estimate.method === 'followers') && '.'}
+      </p>
+      <ScoreBreakdown breakdown={{ ...driver, earlyDiscoveryMultiplier: driver.earlyDiscoveryBonus, score: driver.cloutScore }} />
+      {track.cloutScore !== driver.cloutScore && (
+        <p style={{fontSize: '0.85rem', opacity: 0.7}}>
+          The track scores {track.cloutScore} - the weighted average over all of its credited artists.
+        </p>
+      )}
+    </div>
+  );
+}
+
 function App() {
   const [playlistUrl, setPlaylistUrl] = useState('');
   const [playlists, setPlaylists] = useState([]);
@@ -11,6 +81,37 @@ function App() {
   const [error, setError] = useState(null);
   const [spotifyTimeout, setSpotifyTimeout] = useState(null);
   const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
+  const [queuePosition, setQueuePosition] = useState(null);
+  const [artistStrategy, setArtistStrategy] = useState('primary');
+  const [countArtistsOnce, setCountArtistsOnce] = useState(false);
+  const [breakdownView, setBreakdownView] = useState('tracks');
+  const [expandedTrack, setExpandedTrack] = useState(null);
+  const [view, setView] = useState('analyze');
+  const [showShare, setShowShare] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [user, setUser] = useState(null);
+
+  // See if we're logged in (the session lives in an httpOnly cookie)
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await axios.get('/api/me');
+        setUser(response.data.user);
+      } catch (err) {
+        setUser(null);
+      }
+    };
+    checkSession();
+  }, []);
+
+  const logout = async () => {
+    try {
+      await axios.post('/logout');
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    setUser(null);
+  };
 
   // Check timeout status on mount
   useEffect(() => {
@@ -27,12 +128,74 @@ function App() {
     checkTimeout();
   }, []);
 
-  const extractPlaylistId = (url) => {
-    // Extract playlist ID from Spotify URL
-    // Formats: https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M
-    // or spotify:playlist:37i9dQZF1DXcBWIGoYBM5M
-    const match = url.match(/playlist[\/:]([a-zA-Z0-9]+)/);
-    return match ? match[1] : null;
+  // Show a job's queue position and real progress from the server
+  const applyJobProgress = (status) => {
+    if (status.state === 'queued' && status.queuePosition > 0) {
+      setQueuePosition(status.queuePosition);
+    } else {
+      setQueuePosition(null);
+    }
+
+    if (status.progress) {
+      setProgress({ current: status.progress.percent, total: 100, message: status.progress.message });
+    }
+  };
+
+  // Poll an analysis job until it finishes (fallback when the event stream isn't available)
+  const pollJob = async (job) => {
+    while (job.state === 'queued' || job.state === 'running') {
+      applyJobProgress(job);
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const response = await axios.get(`/api/jobs/${job.jobId}`);
+      job = response.data;
+    }
+
+    return job;
+  };
+
+  // Follow an analysis job's progress events until it finishes
+  const waitForJob = (job) => new Promise((resolve, reject) => {
+    if (job.state === 'completed' || job.state === 'failed') {
+      resolve(job);
+      return;
+    }
+
+    applyJobProgress(job);
+    const events = new EventSource(`/api/jobs/${job.jobId}/events`);
+
+    events.addEventListener('progress', (e) => {
+      applyJobProgress(JSON.parse(e.data));
+    });
+
+    events.addEventListener('done', (e) => {
+      events.close();
+      resolve(JSON.parse(e.data));
+    });
+
+    events.onerror = () => {
+      events.close();
+      pollJob(job).then(resolve, reject);
+    };
+  });
+
+  const handleAnalysisError = (status, data) => {
+    if (data?.error === 'SPOTIFY_RATE_LIMITED') {
+      // A short rate limit - just say when to retry, no timeout banner
+      setError(data.message);
+    } else if (status === 503 || data?.error === 'SPOTIFY_TIMEOUT') {
+      // Spotify timeout error (503 status or SPOTIFY_TIMEOUT error)
+      console.log('DETECTED TIMEOUT ERROR');
+      setSpotifyTimeout(data);
+      setError(data.message);
+    } else if (status === 404) {
+      setError('Playlist not found. Make sure the playlist is public.');
+    } else if (status === 429) {
+      setError('Too many requests. Please wait a moment and try again.');
+    } else if (status === 400 && data?.error) {
+      setError(data.error);
+    } else {
+      setError('Failed to analyze playlist. Please make sure it\'s a public playlist and try again.');
+    }
   };
 
   const analyzePlaylist = async (e) => {
@@ -51,57 +214,40 @@ function App() {
     }
 
     try {
-      // Simulate progress with intervals
-      const progressInterval = setInterval(() => {
-        setProgress(prev => {
-          if (prev.current >= 90) return prev; // Cap at 90% until done
-          const increment = Math.random() * 15 + 5; // Random increment 5-20%
-          const newCurrent = Math.min(prev.current + increment, 90);
-          
-          let message = 'Starting analysis...';
-          if (newCurrent > 10) message = 'Fetching playlist tracks...';
-          if (newCurrent > 30) message = 'Analyzing artist growth...';
-          if (newCurrent > 60) message = 'Calculating clout scores...';
-          
-          return { ...prev, current: newCurrent, message };
-        });
-      }, 800);
-
-      // Fetch playlist info and calculate clout
+      // Queue the analysis, then wait for our turn and the result
       const response = await axios.post('/api/analyze-public-playlist', {
-        playlistId
+        playlistId,
+        artistStrategy,
+        countArtistsOnce
       });
 
-      clearInterval(progressInterval);
+      const job = await waitForJob(response.data);
+
+      if (job.state === 'failed') {
+        handleAnalysisError(job.error.status, job.error);
+        return;
+      }
+
       setProgress({ current: 100, total: 100, message: 'Complete!' });
 
-      setCloutResults(response.data);
-      setSelectedPlaylist({ name: response.data.playlistName });
+      setCloutResults(job.result);
+      setExpandedTrack(null);
+      setSelectedPlaylist({ name: job.result.playlistName });
     } catch (err) {
       console.error('Analysis error:', err);
       console.error('Error response status:', err.response?.status);
       console.error('Error response data:', err.response?.data);
       
-      // Check for Spotify timeout error (503 status or SPOTIFY_TIMEOUT error)
-      if (err.response?.status === 503 || err.response?.data?.error === 'SPOTIFY_TIMEOUT') {
-        console.log('DETECTED TIMEOUT ERROR');
-        setSpotifyTimeout(err.response.data);
-        setError(err.response.data.message);
-      } else if (err.response?.data?.error === 'PROCESSING') {
-        setError('Another playlist is currently being analyzed. Please try again in a moment.');
-      } else if (err.response?.status === 404) {
-        setError('Playlist not found. Make sure the playlist is public.');
-      } else if (err.response?.status === 429) {
-        setError('Too many requests. Please wait a moment and try again.');
-      } else {
-        setError('Failed to analyze playlist. Please make sure it\'s a public playlist and try again.');
-      }
+      handleAnalysisError(err.response?.status, err.response?.data);
     } finally {
       setLoading(false);
+      setQueuePosition(null);
       setProgress({ current: 0, total: 0, message: '' });
     }
   };
 
+  const audienceLabel = cloutResults?.listenerMetric === 'monthlyListeners' ? 'Listeners' : 'Followers';
+
   return (
     <div className="app">
       <header>
@@ -134,9 +280,50 @@ function App() {
         </div>
       )}
 
-      {error && <div className="error">{error}</div>}
+      <nav className="view-tabs">
+        <button
+          className={view === 'analyze' ? 'view-tab active' : 'view-tab'}
+          onClick={() => setView('analyze')}
+        >
+          Analyze
+        </button>
+        <button
+          className={view === 'compare' ? 'view-tab active' : 'view-tab'}
+          onClick={() => setView('compare')}
+        >
+          Compare
+        </button>
+        <button
+          className={view === 'leaderboard' ? 'view-tab active' : 'view-tab'}
+          onClick={() => setView('leaderboard')}
+        >
+          Leaderboard
+        </button>
+        <button
+          className={view === 'me' ? 'view-tab active' : 'view-tab'}
+          onClick={() => setView('me')}
+        >
+          My Clout
+        </button>
+        <button
+          className={view === 'simulate' ? 'view-tab active' : 'view-tab'}
+          onClick={() => setView('simulate')}
+        >
+          What If?
+        </button>
+      </nav>
+
+      {view === 'compare' && <CompareView />}
+
+      {view === 'me' && <MyCloutView user={user} onLogout={logout} />}
+
+      {view === 'simulate' && <SimulatorView result={cloutResults} />}
 
-      {!cloutResults && !loading && (
+      {view === 'leaderboard' && <LeaderboardView />}
+
+      {view === 'analyze' && error && <div className="error">{error}</div>}
+
+      {view === 'analyze' && !cloutResults && !loading && (
         <div className="input-section">
           <h2>Analyze Any Public Spotify Playlist</h2>
           <p className="subtitle">Paste a Spotify playlist URL to see the clout score</p>
@@ -168,16 +355,42 @@ function App() {
             </button>
           </form>
 
+          <label className="strategy-picker">
+            Featured artists:
+            <select
+              value={artistStrategy}
+              onChange={(e) => setArtistStrategy(e.target.value)}
+              className="strategy-select"
+              disabled={loading}
+            >
+              <option value="primary">Score the main artist only</option>
+              <option value="max">Score every artist, keep the best</option>
+              <option value="weighted">Score every artist, weighted average</option>
+            </select>
+          </label>
+
+          <label className="strategy-picker">
+            <input
+              type="checkbox"
+              checked={countArtistsOnce}
+              onChange={(e) => setCountArtistsOnce(e.target.checked)}
+              disabled={loading}
+            />
+            Count each artist once (from when you first added them)
+          </label>
+
           <div className="notice" style={{marginTop: '1.5rem'}}>
             ⚠️ <strong>User-Generated Playlists Only:</strong> This app only works with playlists created by users. Spotify's editorial playlists (Today's Top Hits, RapCaviar, etc.) are not accessible via the API.
           </div>
         </div>
       )}
 
-      {loading && cloutResults === null && (
+      {view === 'analyze' && loading && cloutResults === null && (
         <div className="loading">
           <div className="progress-container">
-            <div className="progress-message">{progress.message}</div>
+            <div className="progress-message">
+              {queuePosition ? `Waiting in line (position ${queuePosition})...` : progress.message}
+            </div>
             <div className="progress-bar-wrapper">
               <div 
                 className="progress-bar-fill" 
@@ -189,14 +402,61 @@ function App() {
         </div>
       )}
 
-      {cloutResults && (
+      {view === 'analyze' && cloutResults && (
         <div className="results-section">
-          <button onClick={() => setCloutResults(null)} className="back-btn">
-            ← Back to Playlists
-          </button>
+          <div className="results-actions">
+            <button onClick={() => { setCloutResults(null); setShowShare(false); }} className="back-btn">
+              ← Back to Playlists
+            </button>
+            {cloutResults.resultId && (
+              <button onClick={() => setShowShare(!showShare)} className="back-btn share-btn">
+                📤 Share
+              </button>
+            )}
+            {cloutResults.resultId && (
+              <>
+                <a href={`/api/results/${cloutResults.resultId}/export.csv`} download className="back-btn share-btn export-btn">
+                  ⬇️ CSV
+                </a>
+                <a href={`/api/results/${cloutResults.resultId}/export.ndjson`} download className="back-btn share-btn export-btn">
+                  ⬇️ NDJSON
+                </a>
+              </>
+            )}
+          </div>
+
+          {showShare && cloutResults.resultId && (
+            <div className="share-panel">
+              <img
+                src={`/api/share/${cloutResults.resultId}.svg`}
+                alt={`Clout card for ${cloutResults.playlistName}`}
+                className="share-card"
+              />
+              <div className="share-links">
+                <a href={`/api/share/${cloutResults.resultId}.png`} download={`clout-${cloutResults.playlistId}.png`} className="example-btn">
+                  Download PNG
+                </a>
+                <button
+                  className="example-btn"
+                  onClick={async () => {
+                    await navigator.clipboard.writeText(`${window.location.origin}/api/share/${cloutResults.resultId}.png`);
+                    setLinkCopied(true);
+                    setTimeout(() => setLinkCopied(false), 2000);
+                  }}
+                >
+                  {linkCopied ? 'Copied!' : 'Copy Link'}
+                </button>
+              </div>
+            </div>
+          )}
 
           <div className="results-header">
             <h2>{selectedPlaylist?.name}</h2>
+            {cloutResults.scoringModelVersion && (
+              <p style={{fontSize: '0.8rem', color: 'rgba(255,255,255,0.5)', marginBottom: '1rem'}}>
+                Scored with model {cloutResults.scoringModelVersion} on {audienceName(cloutResults.listenerMetric)}
+              </p>
+            )}
             <div className="score-container">
               <div className="score-card">
                 <h3>🏆 Normalized Clout</h3>
@@ -206,7 +466,7 @@ function App() {
                 </p>
               </div>
               <div className="score-card">
-                <h3>Average Per Track</h3>
+                <h3>{cloutResults.countArtistsOnce ? 'Average Per Artist' : 'Average Per Track'}</h3>
                 <div className="score-value" style={{fontSize: '2rem'}}>{cloutResults.averageClout?.toFixed(1) || 0}</div>
               </div>
               <div className="score-card">
@@ -216,15 +476,82 @@ function App() {
             </div>
           </div>
 
+          {cloutResults.tracks && <DiscoveryTimeline tracks={cloutResults.tracks} />}
+
           <div className="tracks-list">
-            <h3>Track Breakdown</h3>
+            <div className="breakdown-header">
+              <h3>{breakdownView === 'artists' ? 'Artist Breakdown' : 'Track Breakdown'}</h3>
+              {cloutResults.artists && (
+                <div className="view-tabs breakdown-toggle">
+                  <button
+                    className={breakdownView === 'tracks' ? 'view-tab active' : 'view-tab'}
+                    onClick={() => setBreakdownView('tracks')}
+                  >
+                    By Track ({cloutResults.trackCount})
+                  </button>
+                  <button
+                    className={breakdownView === 'artists' ? 'view-tab active' : 'view-tab'}
+                    onClick={() => setBreakdownView('artists')}
+                  >
+                    By Artist ({cloutResults.artistCount})
+                  </button>
+                </div>
+              )}
+            </div>
             <div className="notice">
-              ✨ <strong>How scoring works:</strong> Your score rewards discovering artists early AND who became relevant. Small artists who stay small score low (relevance penalty). Artists who decline give negative scores. Bigger playlists get normalized using √(tracks). All scores are inflation-adjusted for Spotify's ~17% annual growth.
+              ✨ <strong>How scoring works:</strong> Your score rewards discovering artists early AND who became relevant. Small artists who stay small score low (relevance penalty). Artists who decline give negative scores. Bigger playlists get normalized using √(tracks). All scores are inflation-adjusted for Spotify's own user growth over the time since each track was added. {cloutResults.listenerMetric === 'monthlyListeners' && ' Tiers are based on monthly listeners - observed where we have recent history, otherwise estimated from followers and popularity (~ marks an estimate, with its likely range).'} Click any track to see exactly how its score was worked out.
             </div>
             <div className="scroll-hint">
               👉 Swipe left to see all columns →
             </div>
-            {cloutResults.tracks && cloutResults.tracks.length > 0 ? (
+            {breakdownView === 'artists' && cloutResults.artists ? (
+            <table>
+              <thead>
+                <tr>
+                  <th>Artist</th>
+                  <th>Tracks</th>
+                  <th>Discovery Tier</th>
+                  <th>First Added</th>
+                  <th>{audienceLabel} Then</th>
+                  <th>{audienceLabel} Now</th>
+                  <th>First Score</th>
+                  <th>Best Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cloutResults.artists.map(artist => (
+                  <tr key={artist.artistId}>
+                    <td>
+                      {artist.artistName}
+                      <div style={{fontSize: '0.8rem', opacity: 0.6}}>{artist.firstTrackName}</div>
+                    </td>
+                    <td>{artist.trackCount}</td>
+                    <td>
+                      <span
+                        className="discovery-tier"
+                        style={{
+                          background: `linear-gradient(135deg, ${artist.tierColor}22, ${artist.tierColor}44)`,
+                          border: `1px solid ${artist.tierColor}66`,
+                          color: artist.tierColor
+                        }}
+                      >
+                        {artist.tierEmoji} {artist.discoveryTier || 'N/A'}
+                      </span>
+                    </td>
+                    <td>{new Date(artist.firstAddedAt).toLocaleDateString()}</td>
+                    <td>{artist.followersWhenAdded?.toLocaleString() || 'N/A'}</td>
+                    <td>{formatAudience(artist.currentFollowers, artist.listenerEstimate)}</td>
+                    <td className={artist.firstScore >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+                      {artist.firstScore >= 0 ? '+' : ''}{artist.firstScore}
+                    </td>
+                    <td className={artist.bestScore >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+                      {artist.bestScore >= 0 ? '+' : ''}{artist.bestScore}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            ) : cloutResults.tracks && cloutResults.tracks.length > 0 ? (
             <table>
               <thead>
                 <tr>
@@ -232,17 +559,41 @@ function App() {
                   <th>Artist</th>
                   <th>Discovery Tier</th>
                   <th>Added</th>
-                  <th>Followers Then</th>
-                  <th>Followers Now</th>
+                  <th>{audienceLabel} Then</th>
+                  <th>{audienceLabel} Now</th>
                   <th>Real Growth</th>
                   <th>Clout Score</th>
                 </tr>
               </thead>
               <tbody>
                 {cloutResults.tracks.map((track, index) => (
-                  <tr key={index}>
+                  <React.Fragment key={index}>
+                  <tr
+                    className={expandedTrack === index ? 'track-row expanded' : 'track-row'}
+                    onClick={() => setExpandedTrack(expandedTrack === index ? null : index)}
+                  >
                     <td>{track.trackName || 'Unknown'}</td>
-                    <td>{track.artistName || 'Unknown'}</td>
+                    <td>
+                      {track.artists && track.artists.length > 1 ? (
+                        <div className="artist-credits">
+                          {track.artists.map(credit => (
+                            <div
+                              key={credit.artistId}
+                              className={credit.artistId === track.drivingArtistId ? 'artist-credit driving-credit' : 'artist-credit'}
+                              title={credit.artistId === track.drivingArtistId ? 'This credit drove the track\'s score' : undefined}
+                            >
+                              {credit.artistName}
+                              <span className={credit.cloutScore >= 0 ? 'positive-clout' : 'negative-clout'}>
+                                {' '}{credit.cloutScore >= 0 ? '+' : ''}{credit.cloutScore}
+                                {credit.weight !== 1 ? ` ×${credit.weight}` : ''}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        track.artistName || 'Unknown'
+                      )}
+                    </td>
                     <td>
                       <span 
                         className="discovery-tier" 
@@ -257,7 +608,7 @@ function App() {
                     </td>
                     <td>{track.addedAgo || 'N/A'}</td>
                     <td>{track.followersWhenAdded?.toLocaleString() || 'N/A'}</td>
-                    <td>{track.currentFollowers?.toLocaleString() || 'N/A'}</td>
+                    <td>{formatAudience(track.currentFollowers, track.listenerEstimate)}</td>
                     <td className={track.inflationAdjustedGrowth > 0 ? 'positive-growth' : 'negative-growth'}>
                       {track.inflationAdjustedGrowth > 0 ? '+' : ''}{track.inflationAdjustedGrowth || 0}%
                     </td>
@@ -265,6 +616,14 @@ function App() {
                       {track.cloutScore >= 0 ? '+' : ''}{track.cloutScore || 0}
                     </td>
                   </tr>
+                  {expandedTrack === index && (
+                    <tr className="track-drilldown">
+                      <td colSpan={8}>
+                        <TrackExplanation track={track} />
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { extractPlaylistId } from './playlistUrl.js';
+
+const MAX_PLAYLISTS = 5;
+
+function CompareView() {
+  const [playlistUrls, setPlaylistUrls] = useState(['', '']);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateUrl = (index, value) => {
+    setPlaylistUrls(urls => urls.map((url, i) => (i === index ? value : url)));
+  };
+
+  const comparePlaylists = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setComparison(null);
+
+    const playlistIds = playlistUrls.filter(url => url.trim()).map(extractPlaylistId);
+
+    if (playlistIds.length < 2 || playlistIds.some(id => !id)) {
+      setError('Paste at least two valid Spotify playlist links.');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/api/compare', { playlistIds });
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Comparison error:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to compare playlists. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Playlist names keyed by ID, for labelling columns
+  const names = Object.fromEntries(
+    (comparison?.playlists || []).map(playlist => [playlist.playlistId, playlist.playlistName])
+  );
+
+  return (
+    <div className="compare-section">
+      {error && <div className="error">{error}</div>}
+
+      {!comparison && (
+        <div className="input-section">
+          <h2>Whose Playlist Has More Clout?</h2>
+          <p className="subtitle">Paste two or more Spotify playlist URLs to go head to head</p>
+
+          <form onSubmit={comparePlaylists}>
+            {playlistUrls.map((url, index) => (
+              <div className="input-wrapper compare-input" key={index}>
+                <input
+                  type="text"
+                  value={url}
+                  onChange={(e) => updateUrl(index, e.target.value)}
+                  placeholder={`Playlist ${index + 1}: https://open.spotify.com/playlist/...`}
+                  className="url-input"
+                  disabled={loading}
+                />
+              </div>
+            ))}
+
+            <div className="url-form">
+              {playlistUrls.length < MAX_PLAYLISTS && (
+                <button
+                  type="button"
+                  className="example-btn"
+                  onClick={() => setPlaylistUrls(urls => [...urls, ''])}
+                  disabled={loading}
+                >
+                  + Add playlist
+                </button>
+              )}
+              <button type="submit" className="analyze-btn" disabled={loading}>
+                {loading ? 'Comparing...' : 'Compare Clout'}
+              </button>
+            </div>
+          </form>
+
+          {loading && (
+            <div className="loading">
+              <div className="spinner" />
+              <p className="subtitle">Analyzing every playlist - big playlists can take a minute.</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {comparison && (
+        <div className="results-section">
+          <button onClick={() => setComparison(null)} className="back-btn">
+            ← New Comparison
+          </button>
+
+          <div className="results-header">
+            <h2>🥊 Head to Head</h2>
+            <div className="score-container">
+              {comparison.playlists.map(playlist => (
+                <div
+                  className={playlist.playlistId === comparison.winner ? 'score-card winner-card' : 'score-card'}
+                  key={playlist.playlistId}
+                >
+                  <h3>{playlist.playlistId === comparison.winner ? '🏆 ' : ''}{playlist.playlistName}</h3>
+                  <div className="score-value">{playlist.normalizedScore}</div>
+                  <p style={{fontSize: '0.85rem', color: 'rgba(255,255,255,0.6)', marginTop: '0.5rem'}}>
+                    {playlist.normalizedScoreDelta === 0
+                      ? 'Top score'
+                      : `${playlist.normalizedScoreDelta} behind`}
+                    {' · '}{playlist.trackCount} tracks · avg {playlist.averageClout}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="tracks-list">
+            <h3>Shared Artists ({comparison.sharedArtists.length})</h3>
+            {comparison.sharedArtists.length > 0 ? (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Artist</th>
+                    {comparison.playlists.map(playlist => (
+                      <th key={playlist.playlistId}>{playlist.playlistName}</th>
+                    ))}
+                    <th>Found It First</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.sharedArtists.map(artist => (
+                    <tr key={artist.artistId}>
+                      <td>{artist.artistName}</td>
+                      {comparison.playlists.map(playlist => {
+                        const discovery = artist.discoveries.find(d => d.playlistId === playlist.playlistId);
+                        return (
+                          <td key={playlist.playlistId}>
+                            {discovery ? (
+                              <>
+                                {new Date(discovery.addedAt).toLocaleDateString()}
+                                <div style={{fontSize: '0.8rem', opacity: 0.6}}>
+                                  {discovery.followersWhenAdded?.toLocaleString()} followers
+                                </div>
+                              </>
+                            ) : '—'}
+                          </td>
+                        );
+                      })}
+                      <td className="positive-clout">{names[artist.firstDiscoveredBy]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="notice">These playlists don't share any artists.</div>
+            )}
+          </div>
+
+          <div className="tracks-list">
+            <h3>Discovery Tiers</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Tier</th>
+                  {comparison.playlists.map(playlist => (
+                    <th key={playlist.playlistId}>{playlist.playlistName}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.tierDistribution.map(row => (
+                  <tr key={row.tier}>
+                    <td>
+                      <span
+                        className="discovery-tier"
+                        style={{
+                          background: `linear-gradient(135deg, ${row.color}22, ${row.color}44)`,
+                          border: `1px solid ${row.color}66`,
+                          color: row.color
+                        }}
+                      >
+                        {row.emoji} {row.tier}
+                      </span>
+                    </td>
+                    {comparison.playlists.map(playlist => (
+                      <td key={playlist.playlistId}>{row.counts[playlist.playlistId] || 0}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompareView;
@@ -0,0 +1,131 @@
+import React from 'react';
+
+const WIDTH = 900;
+const HEIGHT = 360;
+const MARGIN = { top: 20, right: 80, bottom: 40, left: 70 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const DAY = 24 * 60 * 60 * 1000;
+
+// 1500 -> "1.5K", 2000000 -> "2M"
+function formatCount(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}K`;
+  return `${Math.round(value)}`;
+}
+
+// Each track plotted when it was added against the artist's audience at the time
+// (log scale, colored by discovery tier), with the playlist's running clout total on top
+function DiscoveryTimeline({ tracks }) {
+  const points = tracks
+    .filter(track => track.addedAt && track.followersWhenAdded > 0)
+    .map(track => ({ ...track, time: new Date(track.addedAt).getTime() }))
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length < 2) return null;
+
+  const audience = points[0].listenerMetric === 'monthlyListeners' ? 'listeners' : 'followers';
+
+  // Time axis (padded a day either side so one-day playlists still spread out)
+  const minTime = points[0].time - DAY;
+  const maxTime = points[points.length - 1].time + DAY;
+  const x = time => MARGIN.left + (time - minTime) / (maxTime - minTime) * PLOT_WIDTH;
+
+  // Followers axis, one gridline per power of ten
+  const minPower = Math.floor(Math.log10(Math.min(...points.map(point => point.followersWhenAdded))));
+  const maxPower = Math.max(Math.ceil(Math.log10(Math.max(...points.map(point => point.followersWhenAdded)))), minPower + 1);
+  const y = followers => MARGIN.top + PLOT_HEIGHT - (Math.log10(followers) - minPower) / (maxPower - minPower) * PLOT_HEIGHT;
+  const powers = Array.from({ length: maxPower - minPower + 1 }, (_, i) => minPower + i);
+
+  // Cumulative clout axis (always includes zero)
+  let runningTotal = 0;
+  const cumulative = points.map(point => {
+    runningTotal += point.cloutScore;
+    return { time: point.time, total: runningTotal };
+  });
+  const minTotal = Math.min(0, ...cumulative.map(point => point.total));
+  const maxTotal = Math.max(1, ...cumulative.map(point => point.total));
+  const yTotal = total => MARGIN.top + PLOT_HEIGHT - (total - minTotal) / (maxTotal - minTotal) * PLOT_HEIGHT;
+  const totalTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => minTotal + fraction * (maxTotal - minTotal));
+
+  const curve = cumulative
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.time).toFixed(1)},${yTotal(point.total).toFixed(1)}`)
+    .join(' ');
+
+  const dateTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => minTime + fraction * (maxTime - minTime));
+
+  return (
+    <div className="discovery-timeline">
+      <h3>Discovery Timeline</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="timeline-chart" role="img" aria-label={`Tracks by date added and ${audience} at the time, with cumulative clout`}>
+        {powers.map(power => (
+          <g key={power}>
+            <line
+              x1={MARGIN.left}
+              x2={MARGIN.left + PLOT_WIDTH}
+              y1={y(10 ** power)}
+              y2={y(10 ** power)}
+              className="timeline-grid"
+            />
+            <text x={MARGIN.left - 10} y={y(10 ** power) + 4} textAnchor="end" className="timeline-label">
+              {formatCount(10 ** power)}
+            </text>
+          </g>
+        ))}
+
+        {totalTicks.map(total => (
+          <text key={total} x={MARGIN.left + PLOT_WIDTH + 10} y={yTotal(total) + 4} className="timeline-label timeline-label-total">
+            {formatCount(total)}
+          </text>
+        ))}
+
+        {dateTicks.map(time => (
+          <text key={time} x={x(time)} y={HEIGHT - 12} textAnchor="middle" className="timeline-label">
+            {new Date(time).toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}
+          </text>
+        ))}
+
+        <text
+          transform={`translate(16, ${MARGIN.top + PLOT_HEIGHT / 2}) rotate(-90)`}
+          textAnchor="middle"
+          className="timeline-label"
+        >
+          {audience === 'listeners' ? 'Listeners' : 'Followers'} when added
+        </text>
+        <text
+          transform={`translate(${WIDTH - 12}, ${MARGIN.top + PLOT_HEIGHT / 2}) rotate(90)`}
+          textAnchor="middle"
+          className="timeline-label timeline-label-total"
+        >
+          Cumulative clout
+        </text>
+
+        {points.map((point, index) => (
+          <circle
+            key={index}
+            cx={x(point.time)}
+            cy={y(point.followersWhenAdded)}
+            r={5}
+            fill={point.tierColor || '#95A5A6'}
+            className="timeline-point"
+          >
+            <title>
+              {`${point.trackName} - ${point.artistName}\n` +
+                `Added ${new Date(point.time).toLocaleDateString()} at ${point.followersWhenAdded.toLocaleString()} ${audience}\n` +
+                `${point.discoveryTier} · ${point.cloutScore >= 0 ? '+' : ''}${point.cloutScore} clout`}
+            </title>
+          </circle>
+        ))}
+
+        <path d={curve} className="timeline-curve" />
+      </svg>
+      <div className="timeline-legend">
+        <span>● Track, colored by discovery tier</span>
+        <span className="timeline-legend-curve">━ Cumulative clout</span>
+      </div>
+    </div>
+  );
+}
+
+export default DiscoveryTimeline;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+function LeaderboardView() {
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [bracket, setBracket] = useState('all');
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reload whenever a filter changes
+  useEffect(() => {
+    const fetchLeaderboard = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await axios.get('/api/leaderboard', { params: { window: timeWindow, bracket } });
+        setLeaderboard(response.data);
+      } catch (err) {
+        console.error('Error fetching leaderboard:', err);
+        setError('Failed to load the leaderboard. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLeaderboard();
+  }, [timeWindow, bracket]);
+
+  return (
+    <div className="results-section">
+      <div className="results-header">
+        <h2>🏆 Clout Leaderboard</h2>
+        <p className="subtitle">Every playlist anyone has analyzed, ranked by normalized clout</p>
+
+        <div className="leaderboard-filters">
+          <label className="strategy-picker">
+            Analyzed:
+            <select value={timeWindow} onChange={(e) => setTimeWindow(e.target.value)} className="strategy-select">
+              <option value="all">All time</option>
+              <option value="day">Today</option>
+              <option value="week">This week</option>
+              <option value="month">This month</option>
+              <option value="year">This year</option>
+            </select>
+          </label>
+          <label className="strategy-picker">
+            Size:
+            <select value={bracket} onChange={(e) => setBracket(e.target.value)} className="strategy-select">
+              <option value="all">Any size</option>
+              <option value="small">Under 50 tracks</option>
+              <option value="medium">50–199 tracks</option>
+              <option value="large">200+ tracks</option>
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      <div className="tracks-list">
+        {loading && !leaderboard && <div className="spinner" />}
+        {leaderboard && leaderboard.entries.length > 0 && (
+          <table>
+            <thead>
+              <tr>
+                <th>Rank</th>
+                <th>Playlist</th>
+                <th>Normalized Clout</th>
+                <th>Avg Per Track</th>
+                <th>Tracks</th>
+                <th>Analyzed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.entries.map(entry => (
+                <tr key={entry.resultId}>
+                  <td className="clout-score">#{entry.rank}</td>
+                  <td>
+                    <a
+                      href={`https://open.spotify.com/playlist/${entry.playlistId}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="playlist-link"
+                    >
+                      {entry.playlistName}
+                    </a>
+                  </td>
+                  <td className={entry.normalizedScore >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+                    {entry.normalizedScore}
+                  </td>
+                  <td>{entry.averageClout}</td>
+                  <td>{entry.trackCount}</td>
+                  <td>{new Date(entry.analyzedAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {leaderboard && leaderboard.entries.length === 0 && (
+          <div className="notice">No playlists match these filters yet. Analyze one to get on the board!</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LeaderboardView;
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+function MyCloutView({ user, onLogout }) {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const login = async () => {
+    try {
+      const response = await axios.get('/login');
+      window.location.href = response.data.authUrl;
+    } catch (err) {
+      console.error('Login error:', err);
+      setError('Failed to start Spotify login. Please try again.');
+    }
+  };
+
+  // Poll the profile job until it finishes, showing which playlist it's on
+  const waitForProfile = async (job) => {
+    while (job.state === 'queued' || job.state === 'running') {
+      setProgress(job.progress?.message || null);
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const response = await axios.get(`/api/my-clout/jobs/${job.jobId}`);
+      job = response.data;
+    }
+
+    return job;
+  };
+
+  const calculateMyClout = async () => {
+    setLoading(true);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const response = await axios.post('/api/my-clout');
+      const job = await waitForProfile(response.data);
+
+      if (job.state === 'failed') {
+        setError(job.error.message || job.error.error);
+      } else {
+        setProfile(job.result);
+      }
+    } catch (err) {
+      console.error('My Clout error:', err);
+      if (err.response?.status === 401) {
+        onLogout();
+      }
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to calculate your clout. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="input-section">
+        {error && <div className="error">{error}</div>}
+        <h2>What's Your Clout as a Listener?</h2>
+        <p className="subtitle">Log in with Spotify and we'll score every playlist you've made, counting each artist once - from when you found them first</p>
+        <button onClick={login} className="login-btn">
+          Log in with Spotify
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="compare-section">
+      {error && <div className="error">{error}</div>}
+
+      {!profile && (
+        <div className="input-section">
+          <h2>{user.displayName}'s Clout Across Every Playlist</h2>
+          <p className="subtitle">We'll analyze all the playlists you own and give you one personal score</p>
+          <div className="url-form">
+            <button onClick={calculateMyClout} className="analyze-btn" disabled={loading}>
+              {loading ? 'Calculating...' : 'Calculate My Clout'}
+            </button>
+            <button onClick={onLogout} className="example-btn" disabled={loading}>
+              Log out
+            </button>
+          </div>
+
+          {loading && (
+            <div className="loading">
+              <div className="spinner" />
+              <p className="subtitle">{progress || 'Analyzing every one of your playlists - this can take a few minutes.'}</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {profile && (
+        <div className="results-section">
+          <button onClick={() => setProfile(null)} className="back-btn">
+            ← Recalculate
+          </button>
+
+          <div className="results-header">
+            <h2>👤 {profile.user.displayName}</h2>
+            <div className="score-container">
+              <div className="score-card winner-card">
+                <h3>Personal Clout</h3>
+                <div className="score-value">{profile.personalScore}</div>
+              </div>
+              <div className="score-card">
+                <h3>Avg Per Artist</h3>
+                <div className="score-value">{profile.averageClout}</div>
+                <p style={{fontSize: '0.85rem', color: 'rgba(255,255,255,0.6)', marginTop: '0.5rem'}}>
+                  {profile.artistCount} artists across {profile.playlistCount} playlists
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="tracks-list">
+            <h3>Where Your Clout Comes From</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Playlist</th>
+                  <th>Artists Found First</th>
+                  <th>Clout</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.contributions.map(playlist => (
+                  <tr key={playlist.playlistId}>
+                    <td>
+                      <a
+                        href={`https://open.spotify.com/playlist/${playlist.playlistId}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="playlist-link"
+                      >
+                        {playlist.playlistName}
+                      </a>
+                    </td>
+                    <td>{playlist.artistsFirstFound}</td>
+                    <td className={playlist.totalClout >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+                      {playlist.totalClout}
+                    </td>
+                    <td>{playlist.share}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {profile.truncated && (
+              <div className="notice" style={{marginTop: '1rem'}}>
+                Only your first {profile.truncated.analyzed} of {profile.truncated.total} playlists were analyzed (the limit is {profile.truncated.limit}).
+              </div>
+            )}
+            {profile.skipped.length > 0 && (
+              <div className="notice" style={{marginTop: '1rem'}}>
+                Skipped {profile.skipped.length} playlist{profile.skipped.length !== 1 ? 's' : ''} we couldn't analyze: {profile.skipped.map(playlist => playlist.playlistName || playlist.playlistId).join(', ')}
+              </div>
+            )}
+          </div>
+
+          <div className="tracks-list">
+            <h3>Your Best Finds</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Artist</th>
+                  <th>First Added</th>
+                  <th>Discovery Tier</th>
+                  <th>Clout</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.artists.slice(0, 25).map(artist => (
+                  <tr key={artist.artistId}>
+                    <td>
+                      {artist.artistName}
+                      <div style={{fontSize: '0.8rem', opacity: 0.6}}>{artist.trackName}</div>
+                    </td>
+                    <td>{new Date(artist.addedAt).toLocaleDateString()}</td>
+                    <td>
+                      <span
+                        className="discovery-tier"
+                        style={{
+                          background: `linear-gradient(135deg, ${artist.tierColor}22, ${artist.tierColor}44)`,
+                          border: `1px solid ${artist.tierColor}66`,
+                          color: artist.tierColor
+                        }}
+                      >
+                        {artist.tierEmoji} {artist.discoveryTier}
+                      </span>
+                    </td>
+                    <td className={artist.cloutScore >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+                      {artist.cloutScore}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyCloutView;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// The clout formula step by step, from the fields calculateCloutScore returns
+function ScoreBreakdown({ breakdown }) {
+  const capped = breakdown.cappedMultiplier < breakdown.earlyDiscoveryMultiplier;
+
+  return (
+    <table className="simulator-breakdown">
+      <tbody>
+        <tr>
+          <td>Growth since added (inflation-adjusted)</td>
+          <td className={breakdown.inflationAdjustedGrowth >= 0 ? 'positive-growth' : 'negative-growth'}>
+            {breakdown.inflationAdjustedGrowth.toLocaleString()}%
+            <div style={{fontSize: '0.8rem', opacity: 0.6}}>
+              {breakdown.rawGrowth.toLocaleString()}% before inflation
+              {breakdown.platformInflation !== undefined && ` - Spotify grew ${+((breakdown.platformInflation - 1) * 100).toFixed(1)}% over the same time`}
+            </div>
+          </td>
+        </tr>
+        <tr>
+          <td>× Volume weight (log of {breakdown.absoluteGrowth.toLocaleString()} listeners {breakdown.absoluteGrowth >= 0 ? 'gained' : 'lost'})</td>
+          <td>×{breakdown.volumeWeight}</td>
+        </tr>
+        <tr>
+          <td>× Early discovery multiplier ({breakdown.discoveryTier})</td>
+          <td>
+            ×{breakdown.cappedMultiplier}
+            {capped && (
+              <div style={{fontSize: '0.8rem', opacity: 0.6}}>
+                capped from ×{breakdown.earlyDiscoveryMultiplier} - the artist didn't get big enough
+              </div>
+            )}
+          </td>
+        </tr>
+        <tr>
+          <td>= Base score</td>
+          <td>{breakdown.baseScore.toLocaleString()}</td>
+        </tr>
+        <tr>
+          <td>× Relevance factor (how big the artist is now)</td>
+          <td>×{breakdown.relevanceFactor}</td>
+        </tr>
+        <tr>
+          <td><strong>= Clout score</strong></td>
+          <td className={breakdown.score >= 0 ? 'clout-score positive-clout' : 'clout-score negative-clout'}>
+            {breakdown.score.toLocaleString()}
+          </td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+export default ScoreBreakdown;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+
+const MONTH = 30.44 * 24 * 60 * 60 * 1000;
+
+// Listener sliders move on a log scale: 10^0 .. 10^8
+const toExponent = value => Math.log10(Math.max(value, 1));
+const fromExponent = exponent => Math.round(10 ** exponent);
+
+function monthsSince(date) {
+  return Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / MONTH));
+}
+
+function SimulatorView({ result }) {
+  const [trackIndex, setTrackIndex] = useState('');
+  const [listenersAtAdd, setListenersAtAdd] = useState(5000);
+  const [currentListeners, setCurrentListeners] = useState(500000);
+  const [addedAt, setAddedAt] = useState(() => Date.now() - 24 * MONTH);
+  const [simulation, setSimulation] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Start from a real track: load its numbers into the sliders
+  const pickTrack = (value) => {
+    setTrackIndex(value);
+    if (value === '') return;
+
+    const track = result.tracks[value];
+    setListenersAtAdd(track.followersWhenAdded);
+    setCurrentListeners(track.currentFollowers);
+    setAddedAt(new Date(track.addedAt).getTime());
+  };
+
+  // Re-run the formula whenever an input changes (debounced while dragging)
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      const inputs = {
+        listenersAtAdd,
+        currentListeners,
+        addedDate: new Date(addedAt).toISOString()
+      };
+      const body = trackIndex !== '' && result?.resultId
+        ? { resultId: result.resultId, trackIndex: Number(trackIndex), overrides: inputs }
+        : inputs;
+
+      try {
+        const response = await axios.post('/api/simulate', body);
+        setSimulation(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Simulation error:', err);
+        setError(err.response?.data?.error || 'Failed to run the simulation.');
+      }
+    }, 150);
+
+    return () => clearTimeout(timer);
+  }, [listenersAtAdd, currentListeners, addedAt, trackIndex, result]);
+
+  const monthsAgo = monthsSince(addedAt);
+  const breakdown = simulation?.breakdown;
+  const actual = simulation?.source?.actual;
+
+  return (
+    <div className="results-section simulator-panel">
+      <div className="results-header">
+        <h2>🧪 What If?</h2>
+        <p className="subtitle">Drag the sliders to see how the clout formula reacts</p>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {result?.resultId && (
+        <label className="strategy-picker">
+          Start from:
+          <select value={trackIndex} onChange={(e) => pickTrack(e.target.value)} className="strategy-select">
+            <option value="">Blank slate</option>
+            {result.tracks.map((track, index) => (
+              <option key={index} value={index}>{track.trackName} - {track.artistName}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="simulator-sliders">
+        <label className="simulator-slider">
+          <span>Listeners when added: <strong>{listenersAtAdd.toLocaleString()}</strong></span>
+          <input
+            type="range"
+            min="0"
+            max="8"
+            step="0.01"
+            value={toExponent(listenersAtAdd)}
+            onChange={(e) => setListenersAtAdd(fromExponent(e.target.value))}
+          />
+        </label>
+        <label className="simulator-slider">
+          <span>Listeners now: <strong>{currentListeners.toLocaleString()}</strong></span>
+          <input
+            type="range"
+            min="0"
+            max="8"
+            step="0.01"
+            value={toExponent(currentListeners)}
+            onChange={(e) => setCurrentListeners(fromExponent(e.target.value))}
+          />
+        </label>
+        <label className="simulator-slider">
+          <span>Added: <strong>{monthsAgo} month{monthsAgo !== 1 ? 's' : ''} ago</strong></span>
+          <input
+            type="range"
+            min="0"
+            max="120"
+            step="1"
+            value={monthsAgo}
+            onChange={(e) => setAddedAt(Date.now() - Number(e.target.value) * MONTH)}
+          />
+        </label>
+      </div>
+
+      {breakdown && (
+        <>
+          <div className="score-container">
+            <div className="score-card">
+              <h3>Simulated Clout</h3>
+              <div className={breakdown.score >= 0 ? 'score-value' : 'score-value negative-clout'}>{breakdown.score.toLocaleString()}</div>
+              <p style={{fontSize: '0.85rem', color: 'rgba(255,255,255,0.6)', marginTop: '0.5rem'}}>
+                {breakdown.tierEmoji} {breakdown.discoveryTier}
+              </p>
+            </div>
+            {actual && (
+              <div className="score-card">
+                <h3>Actual Clout</h3>
+                <div className="score-value" style={{fontSize: '2rem'}}>{actual.cloutScore.toLocaleString()}</div>
+                <p style={{fontSize: '0.85rem', color: 'rgba(255,255,255,0.6)', marginTop: '0.5rem'}}>
+                  Added at {actual.listenersAtAdd.toLocaleString()} listeners
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="tracks-list">
+            <h3>How It Adds Up</h3>
+            <ScoreBreakdown breakdown={breakdown} />
+            <p style={{fontSize: '0.8rem', color: 'rgba(255,255,255,0.5)', marginTop: '0.5rem'}}>
+              Scored with model {breakdown.modelVersion}
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SimulatorView;
@@ -0,0 +1,7 @@
+export const extractPlaylistId = (url) => {
+  // Extract playlist ID from Spotify URL
+  // Formats: https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M
+  // or spotify:playlist:37i9dQZF1DXcBWIGoYBM5M
+  const match = url.match(/playlist[\/:]([a-zA-Z0-9]+)/);
+  return match ? match[1] : null;
+};
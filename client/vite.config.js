@@ -14,6 +14,10 @@ export default defineConfig({
         target: 'http://localhost:3000',
         changeOrigin: true
       },
+      '/logout': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
       '/callback': {
         target: 'http://localhost:3000',
         changeOrigin: true
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const scraper = require('./artistToolsScraper');
+const snapshotStore = require('./snapshotStore');
+const scoringModel = require('./scoringModel');
+
+/**
+ * Historical Listener Providers
+ *
+ * Each provider answers "how many listeners did this artist have on this date?"
+ * and returns null when it doesn't know. Providers are queried in priority order
+ * and the first real answer wins, so the growth estimate is only ever a last resort.
+ *
+ * A provider is any object with:
+ *   name: string
+ *   metric: 'followers' | 'monthlyListeners' | null (null = same as the current value it was given)
+ *   getListenersAtDate({ artist, currentFollowers, addedAt, cachedOnly }): Promise<number|null>
+ * and optionally, for providers with real listener series:
+ *   getLatestListeners({ artist }): Promise<{ date, value }|null>
+ *   getSeries({ artist }): Promise<Array<{ date, value }>> (oldest first, used to fit growth curves)
+ *
+ * cachedOnly asks remote providers to answer from what they've already fetched
+ * (the scoring loops prefetch within a time budget first, then score without waiting).
+ * Monthly-listener providers are skipped while the active model scores on followers -
+ * mixing the two metrics would make every artist look like they grew 2-10x.
+ */
+
+/**
+ * Real follower counts we recorded ourselves
+ */
+class SnapshotProvider {
+  constructor() {
+    this.name = 'snapshot';
+    this.metric = 'followers';
+  }
+
+  async getListenersAtDate({ artist, addedAt }) {
+    const snapshot = snapshotStore.getNearestBefore(artist.id, addedAt);
+    return snapshot ? snapshot.followers : null;
+  }
+
+  async getSeries({ artist }) {
+    return snapshotStore.getAll(artist.id).map(snapshot => ({
+      date: new Date(snapshot.timestamp).toISOString(),
+      value: snapshot.followers
+    }));
+  }
+}
+
+/**
+ * Monthly listener history scraped from artist.tools
+ */
+class ArtistToolsProvider {
+  constructor() {
+    this.name = 'artist.tools';
+    this.metric = 'monthlyListeners';
+    // Can be turned off (e.g. if the site starts blocking us)
+    this.enabled = process.env.ARTIST_TOOLS_ENABLED !== 'false';
+  }
+
+  /**
+   * The artist's scraped series, fetching it unless the caller only wants cached data
+   * @param {Object} query - { artist, cachedOnly }
+   * @returns {Promise<Array<Object>>} Data points, oldest first (empty if unknown)
+   */
+  async getDataPoints({ artist, cachedOnly }) {
+    if (!this.enabled) return [];
+
+    const history = cachedOnly
+      ? scraper.getCachedHistoricalData(artist.id)
+      : await scraper.getHistoricalData(artist.name, artist.id);
+    return history?.dataPoints || [];
+  }
+
+  async getListenersAtDate(query) {
+    return scraper.getListenersAtDate(await this.getDataPoints(query), query.addedAt);
+  }
+
+  async getLatestListeners(query) {
+    const dataPoints = await this.getDataPoints(query);
+    return dataPoints.length ? dataPoints[dataPoints.length - 1] : null;
+  }
+
+  async getSeries(query) {
+    return this.getDataPoints(query);
+  }
+}
+
+/**
+ * User-supplied history from CSV exports (chartmetric, Songstats, etc.)
+ * Rows are `artistId,date,listeners`. Imports are merged and persisted to disk.
+ */
+class CsvProvider {
+  constructor(filePath) {
+    this.name = 'csv';
+    this.metric = 'monthlyListeners';
+    this.filePath = filePath;
+    this.series = new Map(); // artistId -> data points sorted oldest first
+    this.load();
+  }
+
+  /**
+   * Load previously imported rows from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { imported } = this.importCsv(fs.readFileSync(this.filePath, 'utf8'), { persist: false });
+    console.log(`📄 Loaded ${imported} imported history rows for ${this.series.size} artists`);
+  }
+
+  /**
+   * Parse CSV text into rows
+   * @param {string} text - CSV with `artistId,date,listeners` columns (header optional)
+   * @returns {Object} { rows, skipped }
+   */
+  parseCsv(text) {
+    const rows = [];
+    let skipped = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      const [artistId, rawDate, rawListeners] = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+      // Header row
+      if (/^artist_?id$/i.test(artistId)) continue;
+
+      const date = new Date(rawDate);
+      const listeners = Number(rawListeners);
+
+      if (!artistId || isNaN(date.getTime()) || !Number.isFinite(listeners) || listeners < 0) {
+        skipped++;
+        continue;
+      }
+
+      rows.push({ artistId, date: date.toISOString(), value: Math.round(listeners) });
+    }
+
+    return { rows, skipped };
+  }
+
+  /**
+   * Import CSV text, merging it with what we already have
+   * @param {string} text - CSV with `artistId,date,listeners` columns
+   * @param {Object} options - { persist: whether to write the merged set to disk }
+   * @returns {Object} { imported, skipped, artists }
+   */
+  importCsv(text, { persist = true } = {}) {
+    const { rows, skipped } = this.parseCsv(text);
+    const touched = new Set();
+
+    for (const row of rows) {
+      const points = this.series.get(row.artistId) || [];
+
+      // Same artist + date replaces the old value
+      const existing = points.find(point => point.date === row.date);
+      if (existing) {
+        existing.value = row.value;
+      } else {
+        points.push({ date: row.date, value: row.value });
+      }
+
+      this.series.set(row.artistId, points);
+      touched.add(row.artistId);
+    }
+
+    for (const artistId of touched) {
+      this.series.get(artistId).sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    if (persist && rows.length > 0) {
+      this.save();
+    }
+
+    return { imported: rows.length, skipped, artists: touched.size };
+  }
+
+  /**
+   * Write every imported row back to disk
+   */
+  save() {
+    const lines = ['artistId,date,listeners'];
+    for (const [artistId, points] of this.series.entries()) {
+      for (const point of points) {
+        lines.push(`${artistId},${point.date},${point.value}`);
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, lines.join('\n') + '\n');
+  }
+
+  async getListenersAtDate({ artist, addedAt }) {
+    return scraper.getListenersAtDate(this.series.get(artist.id), addedAt);
+  }
+
+  async getLatestListeners({ artist }) {
+    const points = this.series.get(artist.id);
+    return points?.length ? points[points.length - 1] : null;
+  }
+
+  async getSeries({ artist }) {
+    return this.series.get(artist.id) || [];
+  }
+}
+
+/**
+ * Growth formula - always has an answer
+ * Runs the artist's fitted growth curve backwards when they have history, the size bucket otherwise
+ */
+class EstimateProvider {
+  constructor() {
+    this.name = 'estimate';
+    this.metric = null;
+    this.usesGrowthCurve = true;
+  }
+
+  async getListenersAtDate({ currentFollowers, addedAt, curve }) {
+    return scraper.estimateListenersAtDate(currentFollowers, addedAt, scoringModel.active, curve);
+  }
+}
+
+// How much time a series covers, in ms
+function getSpan(points) {
+  return new Date(points[points.length - 1].date) - new Date(points[0].date);
+}
+
+class HistoryProviderChain {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} Provider
+   */
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name);
+  }
+
+  /**
+   * Providers whose metric the active model can use
+   * @returns {Array<Object>} Providers in priority order
+   */
+  getUsableProviders() {
+    if (scoringModel.active.listenerEstimation) return this.providers;
+    return this.providers.filter(provider => provider.metric !== 'monthlyListeners');
+  }
+
+  /**
+   * Ask each provider in priority order for listeners when a track was added
+   * @param {Object} artist - Spotify artist ({ id, name })
+   * @param {number} currentFollowers - Current audience, in whatever metric is being scored
+   * @param {Date} addedAt - When the track was added
+   * @param {Object} options - { cachedOnly: don't fetch anything new from remote providers }
+   * @returns {Promise<Object>} { followers, source, metric, growthCurve }
+   */
+  async resolve(artist, currentFollowers, addedAt, options = {}) {
+    const query = { artist, currentFollowers, addedAt, cachedOnly: !!options.cachedOnly };
+
+    for (const provider of this.getUsableProviders()) {
+      try {
+        // Only the estimate needs a curve, and only once every real source has come up empty
+        if (provider.usesGrowthCurve && !query.curve) {
+          query.curve = await this.getGrowthCurve(artist, currentFollowers, options);
+        }
+
+        const listeners = await provider.getListenersAtDate(query);
+        if (listeners !== null && listeners !== undefined) {
+          return {
+            followers: listeners,
+            source: provider.name,
+            metric: provider.metric,
+            growthCurve: provider.usesGrowthCurve ? query.curve : null
+          };
+        }
+      } catch (error) {
+        // One broken source shouldn't stop us from falling through to the next
+        console.error(`⚠️  History provider ${provider.name} failed for ${artist.id}:`, error.message);
+      }
+    }
+
+    return {
+      followers: scraper.estimateListenersAtDate(currentFollowers, addedAt),
+      source: 'estimate',
+      metric: null,
+      growthCurve: null
+    };
+  }
+
+  /**
+   * Fit a growth curve to the longest history any provider has for an artist
+   * Follower snapshots and listener history differ by a roughly constant ratio, which
+   * only shifts a log-linear fit's intercept - the growth rate carries over either way
+   * @param {Object} artist - Spotify artist ({ id, name })
+   * @param {number} currentFollowers - Current audience (picks the size-bucket prior)
+   * @param {Object} options - { cachedOnly: don't fetch anything new from remote providers }
+   * @returns {Promise<Object>} Curve from fitGrowthCurve, plus the series source it was fit to
+   */
+  async getGrowthCurve(artist, currentFollowers, options = {}) {
+    let best = null;
+
+    for (const provider of this.getUsableProviders()) {
+      if (!provider.getSeries) continue;
+
+      try {
+        const points = await provider.getSeries({ artist, cachedOnly: !!options.cachedOnly });
+        if (points.length >= 2 && (!best || getSpan(points) > getSpan(best.points))) {
+          best = { points, source: provider.name };
+        }
+      } catch (error) {
+        console.error(`⚠️  History provider ${provider.name} failed for ${artist.id}:`, error.message);
+      }
+    }
+
+    const curve = scraper.fitGrowthCurve(best?.points, currentFollowers);
+    return { ...curve, source: curve.method === 'fitted' ? best.source : null };
+  }
+
+  /**
+   * Newest real monthly-listener data point any provider has for an artist
+   * @param {Object} artist - Spotify artist ({ id, name })
+   * @param {Object} options - { cachedOnly: don't fetch anything new from remote providers }
+   * @returns {Promise<Object|null>} { date, value, source }
+   */
+  async getLatestObserved(artist, options = {}) {
+    for (const provider of this.getUsableProviders()) {
+      if (!provider.getLatestListeners) continue;
+
+      try {
+        const point = await provider.getLatestListeners({ artist, cachedOnly: !!options.cachedOnly });
+        if (point) return { ...point, source: provider.name };
+      } catch (error) {
+        console.error(`⚠️  History provider ${provider.name} failed for ${artist.id}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+}
+
+const HISTORY_CSV_PATH = process.env.HISTORY_CSV_PATH ||
+  path.join(__dirname, 'data', 'imported-history.csv');
+
+module.exports = new HistoryProviderChain([
+  new SnapshotProvider(),
+  new ArtistToolsProvider(),
+  new CsvProvider(HISTORY_CSV_PATH),
+  new EstimateProvider()
+]);
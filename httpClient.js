@@ -0,0 +1,183 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const outboundLimiter = require('./outboundLimiter');
+
+/**
+ * HTTP Client (live / record / replay)
+ *
+ * Every outbound request to Spotify and artist.tools goes through this axios instance.
+ * HTTP_MODE picks what happens underneath:
+ *   live   - normal network requests (default)
+ *   record - network requests, and every response (errors and 429s included) is
+ *            saved to HTTP_FIXTURES_PATH
+ *   replay - no network at all: responses are served from the saved fixtures
+ *
+ * A fixture file holds every response one request got during a recording, in order,
+ * so a 429-then-200 retry or a paginated walk replays exactly as it happened.
+ * Auth headers and tokens are never written to fixtures. The default fixtures/http dir
+ * is for local recordings and is gitignored; the replay fixtures the tests use are
+ * committed under test/fixtures/http (re-record them with npm run record:fixtures).
+ *
+ * Spotify requests are also throttled here, by the shared outbound limiter.
+ */
+
+const HTTP_MODES = ['live', 'record', 'replay'];
+const HTTP_MODE = process.env.HTTP_MODE || 'live';
+const FIXTURES_PATH = process.env.HTTP_FIXTURES_PATH || path.join(__dirname, 'fixtures', 'http');
+
+// Form fields that hold secrets - left out of fixture keys so fixtures work with any credentials
+const SECRET_FIELDS = ['refresh_token', 'code', 'client_secret'];
+// Response fields that hold secrets - replaced before saving
+const SECRET_RESPONSE_FIELDS = ['access_token', 'refresh_token'];
+// Response headers worth keeping
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+const realAdapter = axios.getAdapter(axios.defaults.adapter);
+
+/**
+ * Identify a request independent of the credentials used to make it
+ * @param {Object} config - Axios request config
+ * @returns {string} e.g. "GET https://api.spotify.com/v1/artists?ids=..."
+ */
+function getRequestKey(config) {
+  let key = `${config.method.toUpperCase()} ${axios.getUri(config)}`;
+
+  if (config.data) {
+    const body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+    const contentType = String(axios.AxiosHeaders.from(config.headers).get('Content-Type') || '');
+
+    if (contentType.includes('x-www-form-urlencoded')) {
+      const form = new URLSearchParams(body);
+      SECRET_FIELDS.forEach(field => form.delete(field));
+      key += ` ${form.toString()}`;
+    } else {
+      key += ` ${body}`;
+    }
+  }
+
+  return key;
+}
+
+function getFixturePath(key) {
+  const url = new URL(key.split(' ')[1]);
+  const slug = `${url.hostname}${url.pathname}`.replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 60);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return path.join(FIXTURES_PATH, `${slug}-${hash}.json`);
+}
+
+/**
+ * Make a response safe and readable to save
+ * @param {Object} response - Axios response (data not yet transformed)
+ * @returns {Object} { status, statusText, headers, data }
+ */
+function serializeResponse(response) {
+  let data = response.data;
+
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // HTML and other text stay as-is
+    }
+  }
+
+  if (data && typeof data === 'object') {
+    data = { ...data };
+    SECRET_RESPONSE_FIELDS.forEach(field => {
+      if (field in data) data[field] = 'recorded-token';
+    });
+  }
+
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = response.headers?.[name];
+    if (value !== undefined) headers[name] = value;
+  }
+
+  return { status: response.status, statusText: response.statusText, headers, data };
+}
+
+// Responses recorded so far this run, per request key
+const recordings = new Map();
+
+function recordResponse(config, response) {
+  const key = getRequestKey(config);
+  const responses = recordings.get(key) || [];
+
+  responses.push(serializeResponse(response));
+  recordings.set(key, responses);
+
+  fs.mkdirSync(FIXTURES_PATH, { recursive: true });
+  fs.writeFileSync(getFixturePath(key), JSON.stringify({ request: key, responses }, null, 2));
+}
+
+async function recordAdapter(config) {
+  try {
+    const response = await realAdapter(config);
+    recordResponse(config, response);
+    return response;
+  } catch (error) {
+    // HTTP errors (404s, 429s) are part of the recording; network failures aren't
+    if (error.response) {
+      recordResponse(config, error.response);
+    }
+    throw error;
+  }
+}
+
+// How many times each request has been replayed this run
+const replayCounts = new Map();
+
+async function replayAdapter(config) {
+  const key = getRequestKey(config);
+  const fixturePath = getFixturePath(key);
+
+  if (!fs.existsSync(fixturePath)) {
+    throw new axios.AxiosError(`No recorded response for ${key}`, 'ERR_NO_FIXTURE', config);
+  }
+
+  const { responses } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  // Serve responses in recorded order, then keep repeating the last one
+  const count = replayCounts.get(key) || 0;
+  replayCounts.set(key, count + 1);
+  const recorded = responses[Math.min(count, responses.length - 1)];
+
+  const response = {
+    data: recorded.data,
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: new axios.AxiosHeaders(recorded.headers),
+    config,
+    request: {}
+  };
+
+  if (config.validateStatus && !config.validateStatus(response.status)) {
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status < 500 ? axios.AxiosError.ERR_BAD_REQUEST : axios.AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+}
+
+if (!HTTP_MODES.includes(HTTP_MODE)) {
+  throw new Error(`HTTP_MODE must be one of: ${HTTP_MODES.join(', ')}`);
+}
+
+const adapters = { live: realAdapter, record: recordAdapter, replay: replayAdapter };
+
+if (HTTP_MODE !== 'live') {
+  console.log(`📼 HTTP ${HTTP_MODE} mode - fixtures in ${FIXTURES_PATH}`);
+}
+
+const client = axios.create({ adapter: adapters[HTTP_MODE] });
+outboundLimiter.install(client);
+
+module.exports = client;
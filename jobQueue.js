@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * Analysis Job Queue
+ *
+ * Jobs wait in line and a fixed number of workers drain them in order.
+ * Jobs with the same key (e.g. playlist ID) that are still queued or running
+ * share a single run, so ten people analyzing the same playlist cost one analysis.
+ *
+ * Emits 'update' (job) whenever a job's state, queue position or progress changes,
+ * and 'done' (job) once it has completed or failed.
+ */
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Function} runJob - async (payload, reportProgress) => result
+   * @param {Object} options - { concurrency, jobTtl }
+   */
+  constructor(runJob, { concurrency = 1, jobTtl = 60 * 60 * 1000 } = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open progress stream
+    this.runJob = runJob;
+    this.concurrency = concurrency;
+    this.jobTtl = jobTtl; // How long finished jobs stay around to be fetched
+    this.jobs = new Map(); // jobId -> job
+    this.pending = []; // jobIds waiting for a worker, oldest first
+    this.activeByKey = new Map(); // key -> jobId for queued/running jobs
+    this.running = 0;
+  }
+
+  /**
+   * Add a job, or join the existing run for the same key
+   * @param {string} key - Deduplication key
+   * @param {*} payload - Passed to runJob
+   * @returns {Object} The job
+   */
+  enqueue(key, payload) {
+    const activeId = this.activeByKey.get(key);
+    if (activeId) {
+      console.log(`🔁 Joining existing job ${activeId} for ${key}`);
+      return this.jobs.get(activeId);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      payload,
+      state: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.activeByKey.set(key, job.id);
+
+    console.log(`📥 Queued job ${job.id} for ${key} (position ${this.pending.length})`);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} Job
+   */
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {Object} job - Job
+   * @returns {Promise<Object>} The job once it has completed or failed
+   */
+  wait(job) {
+    if (job.state === 'completed' || job.state === 'failed') {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      const onDone = (finished) => {
+        if (finished.id !== job.id) return;
+        this.off('done', onDone);
+        resolve(finished);
+      };
+      this.on('done', onDone);
+    });
+  }
+
+  /**
+   * Get a job's place in line
+   * @param {Object} job - Job
+   * @returns {number} 1-based position while queued, 0 otherwise
+   */
+  getPosition(job) {
+    return this.pending.indexOf(job.id) + 1;
+  }
+
+  /**
+   * Start jobs until every worker is busy
+   */
+  drain() {
+    let moved = false;
+
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      this.run(job);
+      moved = true;
+    }
+
+    // Everyone still waiting just moved up a spot
+    if (moved) {
+      for (const jobId of this.pending) {
+        this.emit('update', this.jobs.get(jobId));
+      }
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {Object} job - Job
+   */
+  async run(job) {
+    this.running++;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`⚙️  Started job ${job.id} for ${job.key} (${this.running}/${this.concurrency} workers busy)`);
+    this.emit('update', job);
+
+    const reportProgress = (progress) => {
+      job.progress = progress;
+      this.emit('update', job);
+    };
+
+    try {
+      job.result = await this.runJob(job.payload, reportProgress);
+      job.state = 'completed';
+    } catch (error) {
+      job.error = error;
+      job.state = 'failed';
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.activeByKey.delete(job.key);
+      this.running--;
+      console.log(`🏁 Job ${job.id} ${job.state}`);
+      this.emit('done', job);
+
+      // Forget finished jobs after a while so the map doesn't grow forever
+      setTimeout(() => this.jobs.delete(job.id), this.jobTtl).unref();
+
+      this.drain();
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,86 @@
+const scoringModel = require('./scoringModel');
+
+/**
+ * Monthly Listener Estimation
+ *
+ * The discovery tiers are defined on monthly listeners, but the Spotify API only
+ * gives us follower counts - and the two can be 2-10x apart. This turns what we do
+ * know about an artist into a monthly-listener estimate with a confidence range:
+ *   observed - recent listener history (artist.tools, imported CSVs), taken as-is
+ *   modeled  - followers × a follower-to-listener ratio that grows with popularity
+ *              (popular artists have far more casual listeners per follower)
+ *
+ * Models without a listenerEstimation section keep scoring on followers.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Listeners per follower for an artist's Spotify popularity
+ * Moves geometrically from minFollowerRatio (popularity 0) to maxFollowerRatio (100)
+ * @param {number} popularity - Spotify popularity, 0-100
+ * @param {Object} settings - The model's listenerEstimation section
+ * @returns {number} Ratio
+ */
+function getFollowerRatio(popularity, settings) {
+  const { minFollowerRatio, maxFollowerRatio } = settings;
+  const share = Math.min(Math.max(popularity || 0, 0), 100) / 100;
+  return minFollowerRatio * Math.pow(maxFollowerRatio / minFollowerRatio, share);
+}
+
+/**
+ * Estimate an artist's current audience in the metric the model scores on
+ * @param {Object} artist - { followers, popularity, observed: { date, value } | null }
+ * @param {Object} model - Scoring model (defaults to the active one)
+ * @returns {Object} { metric, value, low, high, method, followerRatio }
+ */
+function estimateCurrentListeners({ followers, popularity, observed }, model = scoringModel.active) {
+  const settings = model.listenerEstimation;
+
+  if (!settings) {
+    return { metric: 'followers', value: followers, low: followers, high: followers, method: 'followers', followerRatio: 1 };
+  }
+
+  const observedAge = observed ? Date.now() - new Date(observed.date).getTime() : Infinity;
+
+  if (observedAge <= settings.maxObservedAgeDays * DAY) {
+    return {
+      metric: 'monthlyListeners',
+      value: observed.value,
+      low: observed.value,
+      high: observed.value,
+      method: 'observed',
+      // Lets follower snapshots for this artist be converted with their real ratio
+      followerRatio: followers > 0 ? observed.value / followers : getFollowerRatio(popularity, settings)
+    };
+  }
+
+  const followerRatio = getFollowerRatio(popularity, settings);
+  const value = Math.round(followers * followerRatio);
+
+  return {
+    metric: 'monthlyListeners',
+    value,
+    low: Math.round(value / settings.rangeFactor),
+    high: Math.round(value * settings.rangeFactor),
+    method: 'modeled',
+    followerRatio
+  };
+}
+
+/**
+ * Put a historical value into the same metric as the current estimate
+ * Follower snapshots are scaled by the artist's follower ratio; listener history is used as-is
+ * @param {number} value - Historical value
+ * @param {string|null} metric - Metric the value is in (null = already in the estimate's metric)
+ * @param {Object} estimate - Result of estimateCurrentListeners
+ * @returns {number} Value in the estimate's metric
+ */
+function toEstimateMetric(value, metric, estimate) {
+  if (estimate.metric === 'monthlyListeners' && metric === 'followers') {
+    return Math.round(value * estimate.followerRatio);
+  }
+  return value;
+}
+
+module.exports = { estimateCurrentListeners, toEstimateMetric };
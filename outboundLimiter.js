@@ -0,0 +1,178 @@
+/**
+ * Outbound Spotify Rate Limiter
+ *
+ * One token bucket shared by every Spotify request the server makes (playlist pages,
+ * artist batches, token refreshes, logged-in users' calls), so parallel analyses
+ * can't add up to more than SPOTIFY_RATE_LIMIT requests per SPOTIFY_RATE_WINDOW_SECONDS.
+ * Requests wait their turn in order.
+ *
+ * A 429's retry-after is honoured in full, but only for the credential that got it -
+ * Spotify rate limits per app, so the pool's other credentials keep going. Requests
+ * name their credential with `spotifyCredential` in the axios config; untagged ones
+ * (logins, users' own calls) run on the default app. Nothing waits here longer than
+ * SPOTIFY_MAX_COOLDOWN_WAIT_SECONDS: a request that would is rejected with
+ * SPOTIFY_RATE_LIMITED instead of hanging.
+ */
+
+const SPOTIFY_HOSTS = ['api.spotify.com', 'accounts.spotify.com'];
+// Credential untagged requests are made with (SPOTIFY_CLIENT_ID's app)
+const DEFAULT_CREDENTIAL = 'default';
+
+class OutboundLimiter {
+  /**
+   * @param {Object} options - { limit, windowMs, maxWaitMs }
+   */
+  constructor({ limit, windowMs, maxWaitMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.maxWaitMs = maxWaitMs;
+    this.tokens = limit;
+    this.lastRefill = Date.now();
+    this.pausedUntil = new Map(); // credential name -> timestamp
+    this.waiting = []; // Queued requests, oldest first: { credential, resolve }
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.limit, this.tokens + (now - this.lastRefill) * this.limit / this.windowMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * When a credential may send again
+   * @param {string} credential - Credential name
+   * @returns {number} Timestamp (0 if it isn't paused)
+   */
+  getPausedUntil(credential) {
+    const until = this.pausedUntil.get(credential) || 0;
+    if (until && until <= Date.now()) this.pausedUntil.delete(credential);
+    return until > Date.now() ? until : 0;
+  }
+
+  /**
+   * Wait for a slot to make one request
+   * Rejects with SPOTIFY_RATE_LIMITED (error.retryAt set) if that would take longer than maxWaitMs
+   * @param {string} credential - Credential name
+   * @returns {Promise<void>}
+   */
+  acquire(credential = DEFAULT_CREDENTIAL) {
+    this.refill();
+
+    // Everyone ahead of us needs a token too
+    const untilToken = Math.max(this.waiting.length + 1 - this.tokens, 0) * this.windowMs / this.limit;
+    const retryAt = Math.max(this.getPausedUntil(credential), Date.now() + untilToken);
+
+    if (retryAt - Date.now() > this.maxWaitMs) {
+      const error = new Error('SPOTIFY_RATE_LIMITED');
+      error.retryAt = retryAt;
+      return Promise.reject(error);
+    }
+
+    return new Promise(resolve => {
+      this.waiting.push({ credential, resolve });
+      this.drain();
+    });
+  }
+
+  /**
+   * Let queued requests go while there's budget, then sleep until the next slot
+   * Requests on a paused credential stay queued without holding up anyone else
+   */
+  drain() {
+    if (this.timer) return;
+
+    this.refill();
+
+    let nextPauseEnd = Infinity;
+    this.waiting = this.waiting.filter(request => {
+      const pausedUntil = this.getPausedUntil(request.credential);
+      if (pausedUntil) {
+        nextPauseEnd = Math.min(nextPauseEnd, pausedUntil);
+        return true;
+      }
+      if (this.tokens < 1) return true;
+
+      this.tokens--;
+      request.resolve();
+      return false;
+    });
+
+    if (this.waiting.length > 0) {
+      const untilToken = this.tokens >= 1 ? Infinity : Math.ceil((1 - this.tokens) * this.windowMs / this.limit);
+      const wait = Math.max(Math.min(nextPauseEnd - Date.now(), untilToken), 1);
+
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  /**
+   * Stop a credential's Spotify requests for a while (Spotify sent a retry-after)
+   * @param {string} credential - Credential name
+   * @param {number} seconds - retry-after from Spotify
+   */
+  pause(credential, seconds) {
+    const until = Date.now() + seconds * 1000;
+
+    if (until > (this.pausedUntil.get(credential) || 0)) {
+      this.pausedUntil.set(credential, until);
+      console.log(`⏸️  Pausing Spotify requests on credential "${credential}" for ${seconds}s`);
+    }
+  }
+
+  isSpotifyRequest(config) {
+    try {
+      return SPOTIFY_HOSTS.includes(new URL(config.url, config.baseURL).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Throttle an axios instance's Spotify requests through this limiter
+   * @param {Object} client - Axios instance
+   */
+  install(client) {
+    client.interceptors.request.use(async config => {
+      if (this.isSpotifyRequest(config)) {
+        await this.acquire(config.spotifyCredential);
+      }
+      return config;
+    });
+
+    client.interceptors.response.use(response => response, error => {
+      if (error.response?.status === 429 && error.config && this.isSpotifyRequest(error.config)) {
+        this.pause(error.config.spotifyCredential || DEFAULT_CREDENTIAL, parseInt(error.response.headers['retry-after'] || '1'));
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Current budget, for status endpoints
+   * @returns {Object} Status
+   */
+  getStatus() {
+    this.refill();
+
+    return {
+      limit: this.limit,
+      windowSeconds: this.windowMs / 1000,
+      remaining: Math.floor(this.tokens),
+      queued: this.waiting.length,
+      // credential name -> when it may send again
+      pausedUntil: Object.fromEntries([...this.pausedUntil.keys()]
+        .filter(credential => this.getPausedUntil(credential))
+        .map(credential => [credential, new Date(this.pausedUntil.get(credential)).toISOString()]))
+    };
+  }
+}
+
+module.exports = new OutboundLimiter({
+  limit: parseInt(process.env.SPOTIFY_RATE_LIMIT || '100'),
+  windowMs: parseInt(process.env.SPOTIFY_RATE_WINDOW_SECONDS || '30') * 1000,
+  maxWaitMs: parseInt(process.env.SPOTIFY_MAX_COOLDOWN_WAIT_SECONDS || '60') * 1000
+});
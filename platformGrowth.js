@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Platform Growth Tables
+ *
+ * Spotify's own user growth inflates every artist's numbers, and it hasn't grown at
+ * a steady rate - it added ~50% a year in 2015 and ~10% a year lately. Each table in
+ * platformGrowth/ lists monthly active users per quarter, and a quarter's growth is
+ * its MAU over the previous quarter's. Scoring models opt in with platformGrowth.table;
+ * inflation between two dates then multiplies together the growth of the actual
+ * quarters in between (partial quarters pro rata). Dates past the last quarter keep growing
+ * at the table's trailing-year rate until the next quarter is appended; only dates before
+ * the table starts use the scoring model's flat fallback rate.
+ *
+ * Tables are plain data - append a quarter when Spotify reports it, no code changes.
+ * Tables are validated at load time - a bad table stops the server from starting.
+ */
+
+// Same 30-day months the growth formulas use
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30;
+const QUARTER = /^(\d{4})-Q([1-4])$/;
+// Quarters averaged for the rate past the end of a table - a full year evens out seasonality
+const TRAILING_QUARTERS = 4;
+
+/**
+ * First instant of a quarter
+ * @param {number} year - Year
+ * @param {number} quarter - 1-4 (5 rolls over into next year's Q1)
+ * @returns {number} Timestamp
+ */
+function getQuarterStart(year, quarter) {
+  return Date.UTC(year, (quarter - 1) * 3, 1);
+}
+
+/**
+ * A period's growth spread evenly over its months
+ * @param {Object} period - Growth period
+ * @returns {number} Monthly growth rate
+ */
+function toMonthlyRate(period) {
+  return Math.pow(period.growth, MONTH_MS / (period.end - period.start)) - 1;
+}
+
+/**
+ * Monthly rate over a table's last year of growth, for dates past its end
+ * @param {Array<Object>} periods - Growth periods, oldest first
+ * @returns {number} Monthly growth rate
+ */
+function getTrailingMonthlyRate(periods) {
+  const recent = periods.slice(-TRAILING_QUARTERS);
+  return toMonthlyRate({
+    start: recent[0].start,
+    end: recent[recent.length - 1].end,
+    growth: recent.reduce((product, period) => product * period.growth, 1)
+  });
+}
+
+/**
+ * Validate a table and turn its quarters into growth periods
+ * @param {Object} table - Parsed table JSON
+ * @returns {Array<Object>} Periods oldest first: { quarter, start, end, mau, growth }
+ * @throws {Error} Describing the first problem found
+ */
+function buildPeriods(table) {
+  if (typeof table.name !== 'string' || !table.name) {
+    throw new Error('name must be a non-empty string');
+  }
+
+  if (!Array.isArray(table.quarters) || table.quarters.length < 2) {
+    throw new Error('quarters must list at least two quarters');
+  }
+
+  const periods = [];
+  let previous = null;
+
+  table.quarters.forEach((entry, index) => {
+    const match = QUARTER.exec(entry.quarter);
+    if (!match) {
+      throw new Error(`quarters[${index}]: quarter must look like 2015-Q1`);
+    }
+    if (typeof entry.mau !== 'number' || entry.mau <= 0) {
+      throw new Error(`quarters[${index}]: mau must be a positive number`);
+    }
+
+    const year = Number(match[1]);
+    const quarter = Number(match[2]);
+    const start = getQuarterStart(year, quarter);
+    const end = getQuarterStart(year, quarter + 1);
+
+    if (previous) {
+      if (start !== previous.end) {
+        throw new Error(`quarters[${index}]: ${entry.quarter} doesn't follow ${previous.quarter} - quarters must be consecutive`);
+      }
+
+      periods.push({ quarter: entry.quarter, start, end, mau: entry.mau, growth: entry.mau / previous.mau });
+    }
+
+    previous = { quarter: entry.quarter, end, mau: entry.mau };
+  });
+
+  return periods;
+}
+
+class PlatformGrowthRegistry {
+  constructor(directory) {
+    this.directory = directory;
+    this.tables = new Map(); // name -> { name, description, periods, trailingMonthlyRate }
+    this.load();
+  }
+
+  /**
+   * Load and validate every table file
+   */
+  load() {
+    if (!fs.existsSync(this.directory)) return;
+
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const table = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      let periods;
+
+      try {
+        periods = buildPeriods(table);
+      } catch (error) {
+        throw new Error(`Invalid platform growth table ${file}: ${error.message}`);
+      }
+
+      if (this.tables.has(table.name)) {
+        throw new Error(`Duplicate platform growth table ${table.name} in ${file}`);
+      }
+
+      this.tables.set(table.name, {
+        name: table.name,
+        description: table.description,
+        periods,
+        trailingMonthlyRate: getTrailingMonthlyRate(periods)
+      });
+    }
+
+    if (this.tables.size > 0) {
+      console.log(`📈 Loaded ${this.tables.size} platform growth table(s)`);
+    }
+  }
+
+  /**
+   * Check a table exists
+   * @param {string} name - Table name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tables.has(name);
+  }
+
+  /**
+   * How much the platform grew between two dates
+   * Dates past the table grow at its trailing-year rate, dates before it at the fallback rate
+   * @param {string} name - Table name
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @param {number} fallbackMonthlyRate - Rate for months before the table starts
+   * @returns {number} Growth multiplier (1.2 = the platform grew 20%)
+   */
+  getInflation(name, from, to, fallbackMonthlyRate) {
+    const start = from.getTime();
+    const end = to.getTime();
+    if (end <= start) return 1;
+
+    const { periods, trailingMonthlyRate } = this.tables.get(name);
+    const tableStart = periods[0].start;
+    const tableEnd = periods[periods.length - 1].end;
+
+    // Sum growth in log space so partial quarters compound correctly
+    let logInflation = 0;
+
+    for (const period of periods) {
+      const overlap = Math.min(end, period.end) - Math.max(start, period.start);
+      if (overlap <= 0) continue;
+
+      logInflation += Math.log(period.growth) * overlap / (period.end - period.start);
+    }
+
+    const before = Math.max(Math.min(end, tableStart) - start, 0);
+    const after = Math.max(end - Math.max(start, tableEnd), 0);
+    logInflation += Math.log(1 + fallbackMonthlyRate) * before / MONTH_MS;
+    logInflation += Math.log(1 + trailingMonthlyRate) * after / MONTH_MS;
+
+    return Math.exp(logInflation);
+  }
+
+  /**
+   * Platform growth rate for the month around a date
+   * @param {string} name - Table name
+   * @param {Date} date - Date to look up
+   * @param {number} fallbackMonthlyRate - Rate for dates before the table starts
+   * @returns {number} Monthly growth rate (the trailing-year rate past the table)
+   */
+  getMonthlyRate(name, date, fallbackMonthlyRate) {
+    const time = date.getTime();
+    const { periods, trailingMonthlyRate } = this.tables.get(name);
+
+    if (time < periods[0].start) return fallbackMonthlyRate;
+
+    const period = periods.find(p => time >= p.start && time < p.end);
+    return period ? toMonthlyRate(period) : trailingMonthlyRate;
+  }
+
+  /**
+   * A table with each quarter's derived monthly rate, for status endpoints
+   * @param {string} name - Table name
+   * @returns {Object|null} { name, description, trailingMonthlyRate, quarters }
+   */
+  describe(name) {
+    const table = this.tables.get(name);
+    if (!table) return null;
+
+    return {
+      name: table.name,
+      description: table.description,
+      // What dates past the last quarter grow at
+      trailingMonthlyRate: Math.round(table.trailingMonthlyRate * 10000) / 10000,
+      quarters: table.periods.map(period => ({
+        quarter: period.quarter,
+        mau: period.mau,
+        quarterlyGrowth: Math.round((period.growth - 1) * 10000) / 10000,
+        monthlyRate: Math.round(toMonthlyRate(period) * 10000) / 10000
+      }))
+    };
+  }
+}
+
+module.exports = new PlatformGrowthRegistry(
+  process.env.PLATFORM_GROWTH_PATH || path.join(__dirname, 'platformGrowth')
+);
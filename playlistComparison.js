@@ -0,0 +1,86 @@
+const { getArtistCredits, getEarliestCredits } = require('./artistAggregation');
+
+/**
+ * Playlist Comparison
+ *
+ * Turns two or more finished playlist analyses into a head-to-head diff:
+ * score gaps, artists the playlists share (and who found them first),
+ * and discovery tier distributions side by side.
+ */
+
+/**
+ * Compare playlist analyses
+ * @param {Array<Object>} analyses - Completed analysis results (two or more)
+ * @param {Array<Object>} tiers - Tier table from the scoring model, smallest first
+ * @returns {Object} Comparison
+ */
+function comparePlaylists(analyses, tiers) {
+  const leaderScore = Math.max(...analyses.map(analysis => analysis.normalizedScore));
+
+  const playlists = analyses.map(analysis => ({
+    playlistId: analysis.playlistId,
+    playlistName: analysis.playlistName,
+    normalizedScore: analysis.normalizedScore,
+    averageClout: analysis.averageClout,
+    trackCount: analysis.trackCount,
+    // How far behind the top playlist this one is (0 for the leader)
+    normalizedScoreDelta: analysis.normalizedScore - leaderScore
+  }));
+
+  // Shared artists: on at least two playlists, with each playlist's earliest add
+  const earliestByPlaylist = analyses.map(analysis => getEarliestCredits(getArtistCredits(analysis)));
+  const artistIds = new Set(earliestByPlaylist.flatMap(earliest => [...earliest.keys()]));
+  const sharedArtists = [];
+
+  for (const artistId of artistIds) {
+    const discoveries = [];
+
+    earliestByPlaylist.forEach((earliest, index) => {
+      const appearance = earliest.get(artistId);
+      if (!appearance) return;
+
+      discoveries.push({
+        playlistId: analyses[index].playlistId,
+        addedAt: appearance.addedAt,
+        followersWhenAdded: appearance.followersWhenAdded,
+        discoveryTier: appearance.discoveryTier
+      });
+    });
+
+    if (discoveries.length < 2) continue;
+
+    discoveries.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+
+    sharedArtists.push({
+      artistId,
+      artistName: earliestByPlaylist.find(earliest => earliest.has(artistId)).get(artistId).artistName,
+      firstDiscoveredBy: discoveries[0].playlistId,
+      discoveries
+    });
+  }
+
+  // Artists found earliest first
+  sharedArtists.sort((a, b) => new Date(a.discoveries[0].addedAt) - new Date(b.discoveries[0].addedAt));
+
+  // Tier distributions, one row per tier in model order
+  const tierDistribution = tiers.map(tier => ({
+    tier: tier.name,
+    emoji: tier.emoji,
+    color: tier.color,
+    counts: Object.fromEntries(analyses.map(analysis => [
+      analysis.playlistId,
+      analysis.tracks.filter(track => track.discoveryTier === tier.name).length
+    ]))
+  }));
+
+  const winner = playlists.find(playlist => playlist.normalizedScore === leaderScore);
+
+  return {
+    winner: winner.playlistId,
+    playlists,
+    sharedArtists,
+    tierDistribution
+  };
+}
+
+module.exports = { comparePlaylists };
@@ -0,0 +1,101 @@
+const { Readable } = require('stream');
+
+/**
+ * Result Export
+ *
+ * Streams a stored analysis's per-track breakdown as CSV or newline-delimited
+ * JSON, one row per track, so analysts can pull it into their own tools.
+ */
+
+// CSV columns, in order: [header, getter]
+const CSV_COLUMNS = [
+  ['resultId', (track, result) => result.resultId],
+  ['playlistId', (track, result) => result.playlistId],
+  ['scoringModelVersion', (track, result) => result.scoringModelVersion],
+  ['trackName', track => track.trackName],
+  ['artistName', track => track.artistName],
+  ['artistId', track => track.artistId],
+  ['addedAt', track => track.addedAt],
+  // followersWhenAdded / currentFollowers are in listenerMetric units
+  ['listenerMetric', track => track.listenerMetric],
+  ['followersWhenAdded', track => track.followersWhenAdded],
+  ['followersWhenAddedSource', track => track.followersWhenAddedSource],
+  ['followersWhenAddedEstimated', track => track.followersWhenAddedEstimated],
+  ['growthCurveMethod', track => track.growthCurve?.method],
+  ['growthMonthlyRate', track => track.growthCurve?.monthlyRate],
+  ['growthFitR2', track => track.growthCurve?.r2],
+  ['growthFitPoints', track => track.growthCurve?.points],
+  ['currentFollowers', track => track.currentFollowers],
+  ['currentLow', track => track.listenerEstimate?.low],
+  ['currentHigh', track => track.listenerEstimate?.high],
+  ['currentMethod', track => track.listenerEstimate?.method],
+  ['spotifyFollowers', track => track.spotifyFollowers],
+  ['popularity', track => track.popularity],
+  ['rawGrowth', track => track.rawGrowth],
+  ['platformInflation', track => track.platformInflation],
+  ['inflationAdjustedGrowth', track => track.inflationAdjustedGrowth],
+  ['absoluteGrowth', track => track.absoluteGrowth],
+  ['volumeWeight', track => track.volumeWeight],
+  ['discoveryTier', track => track.discoveryTier],
+  ['earlyDiscoveryBonus', track => track.earlyDiscoveryBonus],
+  ['multiplierCap', track => track.multiplierCap],
+  ['cappedMultiplier', track => track.cappedMultiplier],
+  ['baseScore', track => track.baseScore],
+  ['relevanceFactor', track => track.relevanceFactor],
+  ['cloutScore', track => track.cloutScore],
+  ['artistStrategy', track => track.artistStrategy],
+  ['drivingArtistId', track => track.drivingArtistId],
+  // Every scored credit as "name (id): score ×weight", for multi-artist strategies
+  ['artistCredits', track => (track.artists || [])
+    .map(credit => `${credit.artistName} (${credit.artistId}): ${credit.cloutScore} ×${credit.weight}`)
+    .join('; ')]
+];
+
+/**
+ * Quote a CSV cell when it needs it
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* csvLines(result) {
+  yield CSV_COLUMNS.map(([header]) => header).join(',') + '\n';
+
+  for (const track of result.tracks) {
+    yield CSV_COLUMNS.map(([, getter]) => toCsvCell(getter(track, result))).join(',') + '\n';
+  }
+}
+
+function* ndjsonLines(result) {
+  for (const track of result.tracks) {
+    yield JSON.stringify({
+      resultId: result.resultId,
+      playlistId: result.playlistId,
+      scoringModelVersion: result.scoringModelVersion,
+      ...track
+    }) + '\n';
+  }
+}
+
+/**
+ * Stream a stored result to a response
+ * @param {Object} result - Stored analysis result
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Object} res - Express response
+ */
+function streamExport(result, format, res) {
+  const lines = format === 'csv' ? csvLines(result) : ndjsonLines(result);
+  const contentType = format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8';
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="clout-${result.playlistId}.${format}"`);
+
+  Readable.from(lines).pipe(res);
+}
+
+module.exports = { streamExport, EXPORT_FORMATS: ['csv', 'ndjson'] };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Analysis Result Store
+ *
+ * Keeps every finished playlist analysis on disk (one JSON file per result) so
+ * results can be ranked, shared and exported after the response is sent.
+ * A result's ID is derived from the playlist, its Spotify snapshot_id and how it
+ * was scored, so re-analyzing an unchanged playlist updates the same entry.
+ * Only small summaries are held in memory; full results are read from disk on demand.
+ */
+
+class ResultStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.summaries = new Map(); // resultId -> summary
+    this.load();
+  }
+
+  /**
+   * Load result summaries from disk
+   */
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const stored = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.summaries.set(stored.resultId, this.summarize(stored));
+      } catch (error) {
+        console.error(`⚠️  Skipping unreadable result ${file}:`, error.message);
+      }
+    }
+
+    console.log(`🗄️  Loaded ${this.summaries.size} stored results`);
+  }
+
+  /**
+   * Build a stable ID for a result
+   * @param {Object} result - Analysis result
+   * @returns {string} Result ID
+   */
+  getResultId(result) {
+    const parts = [result.playlistId, result.snapshotId, result.artistStrategy, result.scoringModelVersion];
+    // Only added when set, so IDs of results scored per track are unchanged
+    if (result.countArtistsOnce) parts.push('once');
+
+    const key = parts.join(':');
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * The parts of a stored result needed for listings (no tracks)
+   * @param {Object} stored - Stored result
+   * @returns {Object} Summary
+   */
+  summarize(stored) {
+    return {
+      resultId: stored.resultId,
+      playlistId: stored.playlistId,
+      playlistName: stored.playlistName,
+      snapshotId: stored.snapshotId,
+      isPublic: stored.isPublic,
+      normalizedScore: stored.normalizedScore,
+      averageClout: stored.averageClout,
+      totalClout: stored.totalClout,
+      trackCount: stored.trackCount,
+      artistStrategy: stored.artistStrategy,
+      countArtistsOnce: Boolean(stored.countArtistsOnce),
+      scoringModelVersion: stored.scoringModelVersion,
+      analyzedAt: stored.analyzedAt
+    };
+  }
+
+  /**
+   * Save (or update) an analysis result
+   * @param {Object} result - Analysis result
+   * @returns {Object} The stored result, with resultId and analyzedAt
+   */
+  save(result) {
+    const stored = {
+      ...result,
+      resultId: this.getResultId(result),
+      analyzedAt: new Date().toISOString()
+    };
+
+    fs.writeFileSync(this.getPath(stored.resultId), JSON.stringify(stored));
+    this.summaries.set(stored.resultId, this.summarize(stored));
+
+    return stored;
+  }
+
+  getPath(resultId) {
+    return path.join(this.directory, `${resultId}.json`);
+  }
+
+  /**
+   * Get a full stored result
+   * @param {string} resultId - Result ID
+   * @returns {Object|null} Stored result
+   */
+  get(resultId) {
+    if (!this.summaries.has(resultId)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.getPath(resultId), 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to read result ${resultId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the most recent result for each playlist scored a given way
+   * Results scored with other options are skipped, not just outranked, so they can't
+   * hide an older result that does match
+   * @param {Object} config - { artistStrategy, countArtistsOnce, scoringModelVersion }
+   * @returns {Array<Object>} Summaries
+   */
+  getLatestPerPlaylist({ artistStrategy, countArtistsOnce, scoringModelVersion }) {
+    const latest = new Map();
+
+    for (const summary of this.summaries.values()) {
+      if (summary.artistStrategy !== artistStrategy ||
+          summary.countArtistsOnce !== countArtistsOnce ||
+          summary.scoringModelVersion !== scoringModelVersion) continue;
+
+      const existing = latest.get(summary.playlistId);
+      if (!existing || summary.analyzedAt > existing.analyzedAt) {
+        latest.set(summary.playlistId, summary);
+      }
+    }
+
+    return [...latest.values()];
+  }
+}
+
+const RESULTS_PATH = process.env.RESULTS_PATH || path.join(__dirname, 'data', 'results');
+
+module.exports = new ResultStore(RESULTS_PATH);
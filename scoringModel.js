@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const platformGrowth = require('./platformGrowth');
+
+/**
+ * Scoring Model Registry
+ *
+ * Every tunable number in the clout formula (tiers, multiplier caps, relevance
+ * curve, growth rates, listener estimation, growth curve fitting) lives in a
+ * versioned JSON file in scoringModels/.
+ * Old versions are kept around so a stored result can always be explained
+ * with the exact model that produced it.
+ *
+ * Models are validated at load time - a bad model file stops the server from starting.
+ */
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+/**
+ * Check a list of size brackets is ascending and ends with an open-ended (null) bracket
+ * @param {Array<Object>} brackets - Bracket list
+ * @param {string} key - Name of the upper bound field
+ * @param {string} label - Used in error messages
+ * @param {boolean} openEnded - Whether the last bracket must have a null bound
+ */
+function validateBrackets(brackets, key, label, openEnded) {
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    throw new Error(`${label} must be a non-empty array`);
+  }
+
+  brackets.forEach((bracket, index) => {
+    const bound = bracket[key];
+    const isLast = index === brackets.length - 1;
+
+    if (openEnded && isLast) {
+      if (bound !== null) throw new Error(`${label}: last entry must have ${key}: null`);
+      return;
+    }
+
+    if (typeof bound !== 'number' || bound <= 0) {
+      throw new Error(`${label}[${index}]: ${key} must be a positive number`);
+    }
+
+    if (index > 0 && bound <= brackets[index - 1][key]) {
+      throw new Error(`${label}[${index}]: ${key} must be greater than the previous entry`);
+    }
+  });
+}
+
+/**
+ * Validate a scoring model definition
+ * @param {Object} model - Parsed model JSON
+ * @throws {Error} Describing the first problem found
+ */
+function validateModel(model) {
+  if (typeof model.version !== 'string' || !model.version) {
+    throw new Error('version must be a non-empty string');
+  }
+
+  const rate = model.platformGrowth?.monthlyRate;
+  if (typeof rate !== 'number' || rate < 0 || rate >= 1) {
+    throw new Error('platformGrowth.monthlyRate must be a number between 0 and 1');
+  }
+
+  // Optional: a dated growth table, with monthlyRate covering dates outside it
+  const table = model.platformGrowth.table;
+  if (table !== undefined && !platformGrowth.has(table)) {
+    throw new Error(`platformGrowth.table ${table} not found in platformGrowth/`);
+  }
+
+  validateBrackets(model.artistGrowth, 'maxListeners', 'artistGrowth', true);
+  model.artistGrowth.forEach((bracket, index) => {
+    if (typeof bracket.monthlyRate !== 'number' || bracket.monthlyRate < 0 || bracket.monthlyRate >= 1) {
+      throw new Error(`artistGrowth[${index}]: monthlyRate must be a number between 0 and 1`);
+    }
+  });
+
+  validateBrackets(model.tiers, 'maxListeners', 'tiers', true);
+  model.tiers.forEach((tier, index) => {
+    if (typeof tier.name !== 'string' || !tier.name) {
+      throw new Error(`tiers[${index}]: name is required`);
+    }
+    if (typeof tier.emoji !== 'string' || !tier.emoji) {
+      throw new Error(`tiers[${index}]: emoji is required`);
+    }
+    if (!HEX_COLOR.test(tier.color)) {
+      throw new Error(`tiers[${index}]: color must be a #RRGGBB hex color`);
+    }
+    if (typeof tier.multiplier !== 'number' || tier.multiplier <= 0) {
+      throw new Error(`tiers[${index}]: multiplier must be a positive number`);
+    }
+  });
+
+  validateBrackets(model.multiplierCaps, 'maxCurrentListeners', 'multiplierCaps', false);
+  model.multiplierCaps.forEach((cap, index) => {
+    if (typeof cap.cap !== 'number' || cap.cap <= 0) {
+      throw new Error(`multiplierCaps[${index}]: cap must be a positive number`);
+    }
+  });
+
+  const { offset, divisor, max } = model.relevance || {};
+  if (typeof offset !== 'number' || typeof divisor !== 'number' || divisor <= 0 || typeof max !== 'number') {
+    throw new Error('relevance must have numeric offset, positive divisor and max');
+  }
+
+  if (typeof model.minimumPastListeners !== 'number' || model.minimumPastListeners <= 0) {
+    throw new Error('minimumPastListeners must be a positive number');
+  }
+
+  // Optional: models without it score on followers
+  if (model.listenerEstimation !== undefined) {
+    const { minFollowerRatio, maxFollowerRatio, rangeFactor, maxObservedAgeDays } = model.listenerEstimation;
+    if (typeof minFollowerRatio !== 'number' || minFollowerRatio <= 0 ||
+        typeof maxFollowerRatio !== 'number' || maxFollowerRatio < minFollowerRatio) {
+      throw new Error('listenerEstimation must have a positive minFollowerRatio no greater than maxFollowerRatio');
+    }
+    if (typeof rangeFactor !== 'number' || rangeFactor < 1) {
+      throw new Error('listenerEstimation.rangeFactor must be a number of at least 1');
+    }
+    if (typeof maxObservedAgeDays !== 'number' || maxObservedAgeDays < 0) {
+      throw new Error('listenerEstimation.maxObservedAgeDays must be a non-negative number');
+    }
+  }
+
+  // Optional: models without it estimate with the size-bucket growth rates only
+  if (model.growthFit !== undefined) {
+    const { priorStrength } = model.growthFit;
+    if (typeof priorStrength !== 'number' || priorStrength <= 0) {
+      throw new Error('growthFit.priorStrength must be a positive number');
+    }
+  }
+}
+
+class ScoringModelRegistry {
+  constructor(directory, activeVersion) {
+    this.directory = directory;
+    this.models = new Map(); // version -> model
+    this.load();
+
+    this.active = activeVersion ? this.models.get(activeVersion) : this.getLatest();
+    if (!this.active) {
+      throw new Error(`Scoring model ${activeVersion} not found in ${directory}`);
+    }
+
+    console.log(`🧮 Scoring model ${this.active.version} active (${this.models.size} version(s) loaded)`);
+  }
+
+  /**
+   * Load and validate every model file
+   */
+  load() {
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const model = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+
+      try {
+        validateModel(model);
+      } catch (error) {
+        throw new Error(`Invalid scoring model ${file}: ${error.message}`);
+      }
+
+      if (this.models.has(model.version)) {
+        throw new Error(`Duplicate scoring model version ${model.version} in ${file}`);
+      }
+
+      this.models.set(model.version, Object.freeze(model));
+    }
+  }
+
+  /**
+   * Get the newest model (versions compare numerically, e.g. v10 > v9)
+   * @returns {Object|undefined} Model
+   */
+  getLatest() {
+    const versions = [...this.models.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return this.models.get(versions[versions.length - 1]);
+  }
+
+  /**
+   * Get a model by version
+   * @param {string} version - Model version
+   * @returns {Object|undefined} Model
+   */
+  get(version) {
+    return this.models.get(version);
+  }
+
+  /**
+   * List every loaded version
+   * @returns {Array<string>} Versions
+   */
+  list() {
+    return [...this.models.keys()];
+  }
+}
+
+module.exports = new ScoringModelRegistry(
+  path.join(__dirname, 'scoringModels'),
+  process.env.SCORING_MODEL_VERSION
+);
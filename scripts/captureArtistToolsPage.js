@@ -0,0 +1,58 @@
+/**
+ * Save a live artist.tools page as a test fixture
+ *
+ * Usage: npm run capture:artist-tools -- <spotifyArtistId>
+ *
+ * Writes test/fixtures/artist-tools/captured/<id>.html with stylesheets and
+ * executable scripts stripped (the JSON data scripts the parser reads are kept),
+ * then reports what the parser makes of it - zero points means the page format
+ * no longer matches LISTENER_SERIES_KEY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('../httpClient');
+const scraper = require('../artistToolsScraper');
+
+const CAPTURED_PATH = path.join(__dirname, '..', 'test', 'fixtures', 'artist-tools', 'captured');
+
+// Drop what the parser never reads, to keep fixtures small
+function trimPage(html) {
+  return html
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    .replace(/<script(?![^>]*type="application\/(?:ld\+)?json")[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<link[^>]*>/gi, '')
+    .replace(/<svg[^>]*>[\s\S]*?<\/svg>/gi, '');
+}
+
+async function main() {
+  const spotifyId = process.argv[2];
+  if (!spotifyId) {
+    console.error('Usage: npm run capture:artist-tools -- <spotifyArtistId>');
+    process.exit(1);
+  }
+
+  const response = await axios.get(`${scraper.baseUrl}/artist/${spotifyId}`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; CloutCalculator/1.0)',
+      'Accept': 'text/html'
+    },
+    timeout: 10000
+  });
+
+  const html = trimPage(response.data);
+  fs.mkdirSync(CAPTURED_PATH, { recursive: true });
+  const filePath = path.join(CAPTURED_PATH, `${spotifyId}.html`);
+  fs.writeFileSync(filePath, html);
+
+  const points = scraper.parseHistoricalData(html);
+  console.log(`💾 Saved ${filePath} (${Math.round(html.length / 1024)} KB)`);
+  console.log(points.length > 0
+    ? `✅ Parsed ${points.length} listener data points (${points[0].date} to ${points[points.length - 1].date})`
+    : '⚠️  Parsed no listener data - the page format doesn\'t match the parser');
+}
+
+main().catch(error => {
+  console.error('❌ Capture failed:', error.message);
+  process.exit(1);
+});
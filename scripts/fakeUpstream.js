@@ -0,0 +1,167 @@
+/**
+ * Fake Spotify and artist.tools, for recording the replay fixtures
+ *
+ * Preload with `node -r ./scripts/fakeUpstream.js server.js`: it swaps axios's
+ * network adapter for canned, deterministic responses, so HTTP_MODE=record saves
+ * exactly the same fixtures on every run. Used by scripts/recordReplayFixtures.js -
+ * live Spotify can't be asked for a 429 on cue, and its playlists change under us.
+ *
+ * Playlists:
+ *   demo        - 6 tracks, one page; artist a0 has an artist.tools listener history
+ *   pages       - 230 tracks over three pages of 100
+ *   ratelimited - 3 tracks; the first artist lookup gets a 429 with retry-after: 1
+ */
+
+const axios = require('axios');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+const RETRY_AFTER_SECONDS = 1;
+
+// Track i of a playlist: { artistId, addedAt }
+const PLAYLISTS = {
+  demo: {
+    name: 'Playlist demo',
+    owner: 'Demo Curator',
+    trackCount: 6,
+    track: i => ({ artistId: `a${i}`, featureId: `a${i + 7}`, addedAt: `2025-${String(i + 1).padStart(2, '0')}-15T12:00:00Z` })
+  },
+  pages: {
+    name: 'Playlist pages',
+    owner: 'Paging Curator',
+    trackCount: 230,
+    track: i => ({ artistId: `b${i % 10}`, addedAt: new Date(Date.parse('2025-01-01T12:00:00Z') + i * DAY_MS).toISOString() })
+  },
+  ratelimited: {
+    name: 'Playlist ratelimited',
+    owner: 'Busy Curator',
+    trackCount: 3,
+    track: i => ({ artistId: `r${i}`, addedAt: `2025-0${i + 1}-01T12:00:00Z` })
+  }
+};
+
+// Monthly listeners for a0, Jun 2024 - Dec 2025, growing 15% a month
+const LISTENER_HISTORY = Array.from({ length: 19 }, (_, month) => ({
+  date: new Date(Date.UTC(2024, 5 + month, 1)).toISOString().slice(0, 10),
+  value: Math.round(2000 * 1.15 ** month)
+}));
+
+const artistNumber = artistId => Number(artistId.slice(1));
+
+function getArtist(artistId) {
+  const n = artistNumber(artistId);
+  return {
+    id: artistId,
+    name: `Artist ${artistId}`,
+    followers: { total: 1000 * (n + 1) ** 2 },
+    popularity: n,
+    images: []
+  };
+}
+
+function getTracksPage(playlistId, offset) {
+  const playlist = PLAYLISTS[playlistId];
+  const items = [];
+
+  for (let i = offset; i < Math.min(offset + PAGE_SIZE, playlist.trackCount); i++) {
+    const { artistId, featureId, addedAt } = playlist.track(i);
+    const artists = [{ id: artistId, name: `Artist ${artistId}` }];
+    if (featureId) artists.push({ id: featureId, name: `Artist ${featureId}` });
+
+    items.push({ added_at: addedAt, track: { id: `${playlistId}-t${i}`, name: `Track ${i}`, artists } });
+  }
+
+  const nextOffset = offset + PAGE_SIZE;
+  return {
+    items,
+    next: nextOffset < playlist.trackCount
+      ? `https://api.spotify.com/v1/playlists/${playlistId}/tracks?offset=${nextOffset}&limit=${PAGE_SIZE}`
+      : null
+  };
+}
+
+function getArtistToolsPage(artistId) {
+  const data = { props: { pageProps: { artist: { id: artistId }, stats: { monthlyListeners: LISTENER_HISTORY } } } };
+  return `<!DOCTYPE html><html><head><title>Artist ${artistId} | artist.tools</title></head><body>` +
+    `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(data)}</script></body></html>`;
+}
+
+const rateLimited = new Set(); // Requests that already got their 429
+
+/**
+ * Answer a request
+ * @param {URL} url - Request URL
+ * @returns {Object} { status, headers, data }
+ */
+function respond(url) {
+  const json = (data, status = 200, headers = {}) => ({ status, headers: { 'content-type': 'application/json', ...headers }, data: JSON.stringify(data) });
+  const notFound = () => json({ error: { status: 404, message: 'Not found.' } }, 404);
+  let match;
+
+  if (url.hostname === 'accounts.spotify.com') {
+    return json({ access_token: 'fake-token', token_type: 'Bearer', expires_in: 3600 });
+  }
+
+  if (url.hostname === 'www.artist.tools') {
+    match = url.pathname.match(/^\/artist\/(\w+)$/);
+    if (match && match[1] === 'a0') {
+      return { status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, data: getArtistToolsPage('a0') };
+    }
+    return { status: 404, headers: { 'content-type': 'text/html; charset=utf-8' }, data: '<!DOCTYPE html><html><body>Not found</body></html>' };
+  }
+
+  if (url.pathname === '/v1/artists') {
+    const ids = url.searchParams.get('ids').split(',');
+    if (ids.some(id => id.startsWith('r')) && !rateLimited.has(url.href)) {
+      rateLimited.add(url.href);
+      return json({ error: { status: 429, message: 'API rate limit exceeded' } }, 429, { 'retry-after': String(RETRY_AFTER_SECONDS) });
+    }
+    return json({ artists: ids.map(getArtist) });
+  }
+
+  if ((match = url.pathname.match(/^\/v1\/artists\/(\w+)$/))) {
+    return json(getArtist(match[1]));
+  }
+
+  if ((match = url.pathname.match(/^\/v1\/playlists\/(\w+)\/tracks$/)) && PLAYLISTS[match[1]]) {
+    return json(getTracksPage(match[1], Number(url.searchParams.get('offset') || 0)));
+  }
+
+  if ((match = url.pathname.match(/^\/v1\/playlists\/(\w+)$/)) && PLAYLISTS[match[1]]) {
+    const playlist = PLAYLISTS[match[1]];
+    return json({
+      id: match[1],
+      name: playlist.name,
+      snapshot_id: `${match[1]}-snapshot`,
+      public: true,
+      owner: { display_name: playlist.owner },
+      tracks: { total: playlist.trackCount }
+    });
+  }
+
+  return notFound();
+}
+
+async function fakeAdapter(config) {
+  const { status, headers, data } = respond(new URL(axios.getUri(config)));
+  const response = {
+    data,
+    status,
+    statusText: status === 200 ? 'OK' : status === 404 ? 'Not Found' : 'Too Many Requests',
+    headers: new axios.AxiosHeaders(headers),
+    config,
+    request: {}
+  };
+
+  if (config.validateStatus && !config.validateStatus(status)) {
+    throw new axios.AxiosError(`Request failed with status code ${status}`, axios.AxiosError.ERR_BAD_REQUEST, config, response.request, response);
+  }
+
+  return response;
+}
+
+// httpClient.js picks up the network adapter through getAdapter - hand it this one instead
+axios.getAdapter = () => fakeAdapter;
+axios.defaults.adapter = fakeAdapter;
+
+console.log('🧪 Fake Spotify and artist.tools loaded');
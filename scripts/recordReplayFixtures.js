@@ -0,0 +1,96 @@
+/**
+ * Re-record the replay fixtures the end-to-end tests use
+ *
+ * Usage: npm run record:fixtures
+ *
+ * Starts the server in HTTP_MODE=record against the fake upstream in
+ * scripts/fakeUpstream.js, analyzes each of its playlists, and leaves what was
+ * recorded in test/fixtures/http (the old fixtures are deleted first). The
+ * fixtures are never edited by hand - change the fake upstream and re-record.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_PATH = path.join(ROOT, 'test', 'fixtures', 'http');
+const PORT = 40000 + (process.pid % 10000);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// The same playlists test/analysis.replay.test.js analyzes, in the same order
+const PLAYLISTS = ['demo', 'pages', 'ratelimited'];
+
+function startServer() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'clout-record-'));
+
+  const server = spawn(process.execPath, ['-r', './scripts/fakeUpstream.js', 'server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      HTTP_MODE: 'record',
+      HTTP_FIXTURES_PATH: FIXTURES_PATH,
+      SPOTIFY_CLIENT_ID: 'test-client',
+      SPOTIFY_CLIENT_SECRET: 'test-secret',
+      SPOTIFY_REFRESH_TOKEN: 'test-refresh',
+      ARTIST_TOOLS_ENABLED: 'true',
+      ARTIST_TOOLS_MIN_INTERVAL_MS: '0',
+      ARTIST_CACHE_PATH: path.join(tmp, 'artist-cache.json'),
+      SNAPSHOT_STORE_PATH: path.join(tmp, 'snapshots.json'),
+      HISTORY_CSV_PATH: path.join(tmp, 'imported-history.csv'),
+      RESULTS_PATH: path.join(tmp, 'results')
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(server);
+    });
+    server.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+}
+
+async function analyze(playlistId) {
+  const response = await fetch(`${BASE_URL}/api/analyze-public-playlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ playlistId })
+  });
+  const { jobId } = await response.json();
+
+  for (;;) {
+    const job = await (await fetch(`${BASE_URL}/api/jobs/${jobId}`)).json();
+    if (job.state === 'completed' || job.state === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+async function main() {
+  fs.rmSync(FIXTURES_PATH, { recursive: true, force: true });
+
+  const server = await startServer();
+
+  try {
+    for (const playlistId of PLAYLISTS) {
+      const job = await analyze(playlistId);
+      if (job.state === 'failed') {
+        throw new Error(`${playlistId} failed: ${JSON.stringify(job.error)}`);
+      }
+      console.log(`📼 Recorded ${playlistId}: ${job.result.tracks.length} tracks`);
+    }
+  } finally {
+    server.kill();
+  }
+
+  console.log(`✅ ${fs.readdirSync(FIXTURES_PATH).length} fixtures in ${path.relative(ROOT, FIXTURES_PATH)}`);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -2,9 +2,27 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 const express = require('express');
-const axios = require('axios');
+const axios = require('./httpClient');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const JobQueue = require('./jobQueue');
+const { comparePlaylists } = require('./playlistComparison');
+const { buildUserProfile } = require('./userProfile');
+const { groupTracksByArtist } = require('./artistAggregation');
+const { renderShareCardSvg, renderShareCardPng } = require('./shareCard');
+const { streamExport, EXPORT_FORMATS } = require('./resultExport');
+const scraper = require('./artistToolsScraper');
+const scoringModel = require('./scoringModel');
+const platformGrowth = require('./platformGrowth');
+const snapshotStore = require('./snapshotStore');
+const artistCache = require('./artistCache');
+const resultStore = require('./resultStore');
+const historyProviders = require('./historyProviders');
+const listenerEstimator = require('./listenerEstimator');
+const sessionStore = require('./sessionStore');
+const credentialPool = require('./spotifyCredentials');
+const outboundLimiter = require('./outboundLimiter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,18 +32,13 @@ app.use(express.json());
 
 // ========== RATE LIMITING & CACHING ==========
 
-// In-memory caches
-const artistCache = new Map(); // Cache artist data for 1 hour
-const ARTIST_CACHE_TTL = 60 * 60 * 1000; // 1 hour
-
 // Rate limiting: Track requests per IP
 const requestCounts = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 const MAX_REQUESTS_PER_MINUTE = 10; // Max 10 playlist analyses per minute per IP
 
-// Global processing queue - only one playlist at a time
-let isProcessing = false;
-const processingQueue = [];
+// Analysis job queue - number of playlists analyzed at the same time
+const ANALYSIS_WORKERS = parseInt(process.env.ANALYSIS_WORKERS || '2');
 
 // Spotify timeout tracking (when we hit severe rate limits)
 let spotifyInTimeout = false;
@@ -42,22 +55,20 @@ if (Date.now() < rateLimitExpires) {
 }
 
 // Check if Spotify has us in timeout
+// Severe rate limits are tracked per credential - we're only in timeout once every credential is
 function isSpotifyInTimeout() {
-  if (!spotifyInTimeout) return false;
-  if (timeoutUntil && Date.now() > timeoutUntil) {
+  if (spotifyInTimeout && timeoutUntil && Date.now() > timeoutUntil) {
     spotifyInTimeout = false;
     timeoutUntil = null;
     console.log('✅ Spotify timeout period expired');
-    return false;
   }
-  return true;
+  // Playlists need a user credential, so losing every user credential is a timeout too
+  return spotifyInTimeout || credentialPool.isExhausted('client') || credentialPool.isExhausted('user');
 }
 
-// Set Spotify timeout (triggered by severe rate limiting)
-function setSpotifyTimeout(hours = 24) {
-  spotifyInTimeout = true;
-  timeoutUntil = Date.now() + (hours * 60 * 60 * 1000);
-  console.log(`🚫 Spotify timeout activated until ${new Date(timeoutUntil).toISOString()}`);
+// When the timeout ends (the first exhausted credential coming back)
+function getTimeoutUntil() {
+  return spotifyInTimeout ? timeoutUntil : credentialPool.getTimeoutUntil();
 }
 
 // Helper function to check rate limit
@@ -86,67 +97,325 @@ function getUserIP(req) {
          req.connection.remoteAddress;
 }
 
-// Helper function to get cached artist or fetch with retry logic
-async function getCachedArtist(artistId, token) {
-  const cached = artistCache.get(artistId);
-  
-  if (cached && Date.now() - cached.timestamp < ARTIST_CACHE_TTL) {
-    console.log(`✓ Cache hit for artist ${artistId}`);
-    return cached.data;
-  }
-  
-  // Fetch from Spotify with exponential backoff
+// Longest we'll hold a Spotify request waiting for a rate-limited credential to cool down
+// (the outbound limiter rejects anything that would wait longer, so they share the setting)
+const MAX_COOLDOWN_WAIT = outboundLimiter.maxWaitMs;
+
+// Helper function to GET from the Spotify API with a pooled credential
+// kind is 'client' (app token) or 'user' (account token, needed to read playlists)
+// A 429 benches that credential and the request moves on to the next healthy one;
+// once every credential is in timeout this throws SPOTIFY_TIMEOUT
+// Nothing is sent on a cooling credential - we wait out its full retry-after, or throw
+// SPOTIFY_RATE_LIMITED if that's longer than we're willing to hold the request
+async function spotifyGet(url, kind = 'client', config = {}) {
   let retries = 0;
   const maxRetries = 3;
-  
+
   while (retries < maxRetries) {
+    const credential = credentialPool.acquire(kind);
+
+    // Every credential is cooling down - wait until the soonest one may be used again
+    if (credential.isCooling()) {
+      const waitTime = credential.coolingUntil - Date.now();
+
+      if (waitTime > MAX_COOLDOWN_WAIT) {
+        const error = new Error('SPOTIFY_RATE_LIMITED');
+        error.retryAt = credential.coolingUntil;
+        throw error;
+      }
+
+      console.log(`⚠️  All credentials rate limited, waiting ${waitTime}ms`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      continue;
+    }
+
+    const token = await credential.getToken(kind);
+    credential.recordRequest();
+
     try {
-      // Add delay between requests to avoid rate limits (100ms)
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const response = await axios.get(`https://api.spotify.com/v1/artists/${artistId}`, {
+      return await axios.get(url, {
+        ...config,
+        spotifyCredential: credential.name,
         headers: {
+          ...config.headers,
           'Authorization': `Bearer ${token}`
         }
       });
-      
-      // Cache the result
-      artistCache.set(artistId, {
-        data: response.data,
-        timestamp: Date.now()
-      });
-      
-      console.log(`✓ Fetched and cached artist ${artistId}`);
-      return response.data;
     } catch (error) {
-      if (error.response?.status === 429) {
-        // Rate limited - cap wait time at 5 seconds max
-        const retryAfter = parseInt(error.response.headers['retry-after'] || '2');
-        const waitTime = Math.min(retryAfter * 1000, 5000); // Cap at 5 seconds
-        
-        // If Spotify wants us to wait more than 1 hour, activate timeout mode
-        if (retryAfter > 3600) {
-          console.error(`🚫 Severe rate limit detected (${retryAfter}s = ${Math.round(retryAfter/3600)} hours)`);
-          setSpotifyTimeout(24); // Set 24 hour timeout
-          throw new Error(`SPOTIFY_TIMEOUT`);
-        }
-        
-        console.log(`⚠️  Rate limited for artist ${artistId}, waiting ${waitTime}ms before retry ${retries + 1}/${maxRetries}`);
-        
-        if (waitTime > 5000) {
-          console.error(`❌ Rate limit too severe (${retryAfter}s requested), aborting`);
-          throw new Error(`Rate limit exceeded - try again later`);
-        }
+      if (error.response?.status !== 429) throw error;
+
+      credential.markRateLimited(parseInt(error.response.headers['retry-after'] || '2'));
+      retries++;
+    }
+  }
+
+  throw new Error('Max retries exceeded for Spotify request');
+}
+
+// Spotify's multi-artist endpoint accepts at most 50 IDs per request
+const ARTIST_BATCH_SIZE = 50;
+
+// Helper function to fetch one batch of artists (retries and rotation happen in spotifyGet)
+async function fetchArtistBatch(artistIds) {
+  const response = await spotifyGet('https://api.spotify.com/v1/artists', 'client', {
+    params: {
+      ids: artistIds.join(',')
+    }
+  });
+
+  // Unknown IDs come back as null entries
+  return response.data.artists.filter(Boolean);
+}
+
+// Helper function to get many artists at once
+// Serves what it can from cache, then fetches the rest in batches of 50
+// Returns a Map of artistId -> artist data (artists that failed to load are missing)
+// onProgress(resolved, total) is called after the cache check and after each batch
+// options.rethrow makes a failed batch throw instead of leaving its artists missing
+async function getCachedArtists(artistIds, onProgress = () => {}, { rethrow = false } = {}) {
+  const uniqueIds = new Set(artistIds);
+  const artists = new Map();
+  const toFetch = [];
+  
+  for (const artistId of uniqueIds) {
+    const cached = artistCache.get(artistId);
+    
+    if (cached) {
+      artists.set(artistId, cached);
+    } else {
+      toFetch.push(artistId);
+    }
+  }
+  
+  console.log(`✓ Cache hit for ${artists.size} artists, fetching ${toFetch.length}`);
+  onProgress(artists.size, uniqueIds.size);
+  
+  for (let i = 0; i < toFetch.length; i += ARTIST_BATCH_SIZE) {
+    const batch = toFetch.slice(i, i + ARTIST_BATCH_SIZE);
+    
+    try {
+      const batchArtists = await fetchArtistBatch(batch);
+      
+      for (const artistData of batchArtists) {
+        // Cache the result
+        artistCache.set(artistData.id, artistData);
+
+        // Keep a dated snapshot so future analyses can use real "followers then" numbers
+        snapshotStore.record(artistData);
         
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        retries++;
-      } else {
-        throw error;
+        artists.set(artistData.id, artistData);
       }
+      
+      console.log(`✓ Fetched and cached batch of ${batchArtists.length} artists`);
+    } catch (error) {
+      // A timeout (or a long rate limit) means every later batch will fail too
+      if (rethrow || error.message === 'SPOTIFY_TIMEOUT' || error.message === 'SPOTIFY_RATE_LIMITED') throw error;
+      
+      console.error(`❌ Error fetching batch of ${batch.length} artists:`, error.message);
     }
+    
+    // Count attempted artists so progress still reaches the end if a batch fails
+    onProgress(uniqueIds.size - toFetch.length + i + batch.length, uniqueIds.size);
   }
   
-  throw new Error('Max retries exceeded for artist fetch');
+  return artists;
+}
+
+// Helper function to get a single artist
+// Returns null only if Spotify doesn't know the artist - any failure to ask throws
+async function getCachedArtist(artistId) {
+  const artists = await getCachedArtists([artistId], undefined, { rethrow: true });
+  return artists.get(artistId) || null;
+}
+
+// Helper function to answer a failed single-artist request
+// Spotify timeouts and rate limits are 503s, IDs Spotify rejects 404s, anything else a 500
+function sendArtistError(res, error, message) {
+  if (error.message === 'SPOTIFY_TIMEOUT' || error.message === 'SPOTIFY_RATE_LIMITED') {
+    const { status, body } = getAnalysisErrorResponse(error);
+    return res.status(status).json(body);
+  }
+
+  if (error.response?.status === 400 || error.response?.status === 404) {
+    return res.status(404).json({ error: 'Artist not found' });
+  }
+
+  res.status(500).json({ error: message });
+}
+
+// The audience metric the active scoring model scores on
+function getListenerMetric() {
+  return scoringModel.active.listenerEstimation ? 'monthlyListeners' : 'followers';
+}
+
+// How a track's credited artists are combined into one score
+//   primary  - only the first credited artist counts (original behaviour)
+//   max      - the best-scoring credit counts
+//   weighted - weighted mean, the primary artist counts PRIMARY_ARTIST_WEIGHT times as much as each feature
+const ARTIST_STRATEGIES = ['primary', 'max', 'weighted'];
+const DEFAULT_ARTIST_STRATEGY = process.env.ARTIST_SCORING_STRATEGY || 'primary';
+const PRIMARY_ARTIST_WEIGHT = parseFloat(process.env.PRIMARY_ARTIST_WEIGHT || '2');
+
+// Helper function to get the artists on a track that a strategy needs scored
+function getScoredArtists(track, strategy) {
+  const credited = track.track?.artists || [];
+  const scored = strategy === 'primary' ? credited.slice(0, 1) : credited;
+  return scored.filter(artist => artist.id);
+}
+
+// How long one analysis may spend fetching artist.tools histories before scoring
+// Artists not fetched in time fall back to the estimate (and are cached for next time)
+const ARTIST_TOOLS_JOB_BUDGET = parseInt(process.env.ARTIST_TOOLS_JOB_BUDGET_SECONDS || '60') * 1000;
+
+// Helper function to fetch scraped listener histories for every artist up front
+// Runs in parallel up to the scraper's throttle, so scoring can then use the cache only
+async function prefetchHistories(artists) {
+  // artist.tools only has monthly listeners - nothing to fetch while the model scores on followers
+  if (!scoringModel.active.listenerEstimation || !historyProviders.getProvider('artist.tools').enabled) return;
+
+  const list = [...artists.values()].map(artist => ({ id: artist.id, name: artist.name }));
+  const { fetched, total } = await scraper.prefetchHistories(list, ARTIST_TOOLS_JOB_BUDGET);
+  console.log(`📚 Listener history ready for ${fetched}/${total} artists`);
+}
+
+// Helper function to score one credited artist on a track
+// currentFollowers / followersWhenAdded hold the audience in whichever metric the
+// scoring model scores on - labelled by listenerMetric ('followers' or 'monthlyListeners')
+// options.cachedOnly scores from already-fetched history (see prefetchHistories)
+async function scoreArtistCredit(artist, artistData, addedAt, options = {}) {
+  const spotifyFollowers = artistData.followers.total;
+
+  // Turn followers, popularity and any recent listener history into the audience we score on
+  const observed = scoringModel.active.listenerEstimation ? await historyProviders.getLatestObserved(artist, options) : null;
+  const current = listenerEstimator.estimateCurrentListeners({
+    followers: spotifyFollowers,
+    popularity: artistData.popularity,
+    observed
+  });
+  const currentFollowers = current.value;
+
+  // Look up (or estimate) the audience when the track was added, in the same metric
+  const resolved = await historyProviders.resolve(artist, currentFollowers, addedAt, options);
+  const followersWhenAdded = {
+    ...resolved,
+    followers: listenerEstimator.toEstimateMetric(resolved.followers, resolved.metric, current)
+  };
+  
+  // Calculate inflation-adjusted clout score
+  const cloutMetrics = scraper.calculateCloutScore(
+    followersWhenAdded.followers,
+    currentFollowers,
+    addedAt
+  );
+
+  return {
+    artistName: artist.name || 'Unknown',
+    artistId: artist.id,
+    listenerMetric: current.metric,
+    spotifyFollowers,
+    currentFollowers,
+    // Confidence range for the current audience; method is observed, modeled or followers
+    listenerEstimate: { low: current.low, high: current.high, method: current.method, source: observed?.source || null },
+    followersWhenAdded: followersWhenAdded.followers,
+    followersWhenAddedSource: followersWhenAdded.source,
+    // "Then" came from the growth model rather than a real data point
+    followersWhenAddedEstimated: followersWhenAdded.source === 'estimate',
+    // Growth curve the estimate ran backwards (fitted to the artist's history, or the size bucket)
+    growthCurve: followersWhenAdded.growthCurve,
+    popularity: artistData.popularity,
+    rawGrowth: Math.round(cloutMetrics.rawGrowth),
+    platformInflation: cloutMetrics.platformInflation,
+    inflationAdjustedGrowth: cloutMetrics.inflationAdjustedGrowth,
+    absoluteGrowth: cloutMetrics.absoluteGrowth,
+    volumeWeight: cloutMetrics.volumeWeight,
+    discoveryTier: cloutMetrics.discoveryTier,
+    tierEmoji: cloutMetrics.tierEmoji,
+    tierColor: cloutMetrics.tierColor,
+    earlyDiscoveryBonus: cloutMetrics.earlyDiscoveryMultiplier,
+    multiplierCap: cloutMetrics.multiplierCap,
+    cappedMultiplier: cloutMetrics.cappedMultiplier,
+    baseScore: cloutMetrics.baseScore,
+    relevanceFactor: cloutMetrics.relevanceFactor,
+    cloutScore: cloutMetrics.score
+  };
+}
+
+// Helper function to score a playlist track with an artist strategy
+// The headline artist fields come from the credit that drove the score,
+// and every scored credit is listed under `artists` with its weight
+// Returns null when none of the track's artists could be loaded
+async function scoreTrack(track, artists, strategy, options = {}) {
+  const addedAt = new Date(track.added_at);
+  const primaryArtist = track.track.artists[0];
+  const credits = [];
+
+  for (const artist of getScoredArtists(track, strategy)) {
+    const artistData = artists.get(artist.id);
+    if (!artistData) continue;
+
+    const credit = await scoreArtistCredit(artist, artistData, addedAt, options);
+    credit.isPrimary = artist === primaryArtist;
+    credit.weight = strategy === 'weighted' && credit.isPrimary ? PRIMARY_ARTIST_WEIGHT : 1;
+    credits.push(credit);
+  }
+
+  if (credits.length === 0) return null;
+
+  let driver = credits.find(credit => credit.isPrimary) || credits[0];
+  let cloutScore = driver.cloutScore;
+
+  if (strategy === 'max') {
+    driver = credits.reduce((best, credit) => credit.cloutScore > best.cloutScore ? credit : best);
+    cloutScore = driver.cloutScore;
+  } else if (strategy === 'weighted') {
+    const totalWeight = credits.reduce((sum, credit) => sum + credit.weight, 0);
+    cloutScore = Math.round(credits.reduce((sum, credit) => sum + credit.cloutScore * credit.weight, 0) / totalWeight);
+    // The credit contributing the most (either way) is the one that drove the result
+    driver = credits.reduce((best, credit) =>
+      Math.abs(credit.cloutScore * credit.weight) > Math.abs(best.cloutScore * best.weight) ? credit : best);
+  }
+
+  const { isPrimary, weight, ...driverFields } = driver;
+
+  return {
+    trackName: track.track.name || 'Unknown',
+    ...driverFields,
+    addedAt: track.added_at,
+    cloutScore,
+    artistStrategy: strategy,
+    drivingArtistId: driver.artistId,
+    artists: credits
+  };
+}
+
+// Helper function to total up a playlist's scored tracks
+// Normalized score: average × √(count) - rewards larger playlists slightly but not linearly,
+// so big playlists don't dominate just due to size
+// countArtistsOnce scores each artist once, from the track that added them first,
+// instead of once per track (eight songs by one artist would otherwise count eight times)
+function summarizeScores(cloutData, countArtistsOnce) {
+  const artists = groupTracksByArtist(cloutData);
+  const scores = countArtistsOnce
+    ? artists.map(artist => artist.firstScore)
+    : cloutData.map(track => track.cloutScore);
+
+  const totalClout = scores.reduce((sum, score) => sum + score, 0);
+  const averageClout = totalClout / scores.length;
+
+  return {
+    averageClout: Math.round(averageClout),
+    normalizedScore: Math.round(averageClout * Math.sqrt(scores.length)),
+    totalClout: Math.round(totalClout),
+    trackCount: cloutData.length,
+    artistCount: artists.length,
+    countArtistsOnce,
+    artists
+  };
+}
+
+// Helper function to get the job queue key for an analysis (same key = same run)
+function getAnalysisKey({ playlistId, artistStrategy, countArtistsOnce }) {
+  return `${playlistId}:${artistStrategy}${countArtistsOnce ? ':once' : ''}`;
 }
 
 // Clean up old rate limit data every 5 minutes
@@ -173,21 +442,56 @@ app.get('/health', (req, res) => {
 
 // Timeout status endpoint - check if Spotify has us rate limited
 app.get('/api/timeout-status', (req, res) => {
+  const credentials = credentialPool.getStatus();
+  const outboundBudget = outboundLimiter.getStatus();
+
   if (isSpotifyInTimeout()) {
+    const until = getTimeoutUntil();
     res.json({
       inTimeout: true,
       message: 'Spotify has put us in timeout due to high traffic',
-      timeoutUntil: new Date(timeoutUntil).toISOString(),
-      hoursRemaining: Math.ceil((timeoutUntil - Date.now()) / (1000 * 60 * 60))
+      timeoutUntil: new Date(until).toISOString(),
+      hoursRemaining: Math.ceil((until - Date.now()) / (1000 * 60 * 60)),
+      credentials,
+      outboundBudget
     });
   } else {
     res.json({
       inTimeout: false,
-      message: 'Service is operational'
+      message: 'Service is operational',
+      credentials,
+      outboundBudget
     });
   }
 });
 
+// Scoring model in use - every result is stamped with its version
+app.get('/api/scoring-model', (req, res) => {
+  res.json({ ...scoringModel.active, availableVersions: scoringModel.list() });
+});
+
+// Older scoring models, so past results stay explainable
+app.get('/api/scoring-model/:version', (req, res) => {
+  const model = scoringModel.get(req.params.version);
+
+  if (!model) {
+    return res.status(404).json({ error: 'Scoring model version not found' });
+  }
+
+  res.json(model);
+});
+
+// Quarter-by-quarter platform growth a scoring model's inflation adjustment uses
+app.get('/api/platform-growth/:table', (req, res) => {
+  const table = platformGrowth.describe(req.params.table);
+
+  if (!table) {
+    return res.status(404).json({ error: 'Platform growth table not found' });
+  }
+
+  res.json(table);
+});
+
 // Serve static files from the React build in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'client/dist')));
@@ -197,84 +501,89 @@ if (process.env.NODE_ENV === 'production') {
 const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI || 'http://localhost:3000/callback';
+// Where the browser lands after logging in - set to the Vite dev server (http://localhost:5173)
+// in development, since the client isn't served from this origin there
+const CLIENT_URL = process.env.CLIENT_URL || '/';
 
 // Base64 encode credentials for Spotify API
 const getAuthToken = () => {
   return Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
 };
 
-// Get Spotify Access Token (Client Credentials Flow for public data)
-let spotifyAccessToken = null;
-let tokenExpiry = null;
+// Refresh a logged-in user's access token if it's about to expire
+const SESSION_REFRESH_MARGIN = 60 * 1000; // Refresh a minute early
 
-async function getSpotifyToken() {
-  if (spotifyAccessToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return spotifyAccessToken;
+async function getSessionAccessToken(session) {
+  if (Date.now() < session.expiresAt - SESSION_REFRESH_MARGIN) {
+    return session.accessToken;
   }
 
-  try {
-    const response = await axios.post(
-      'https://accounts.spotify.com/api/token',
-      'grant_type=client_credentials',
-      {
-        headers: {
-          'Authorization': `Basic ${getAuthToken()}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
+  console.log(`🔄 Refreshing access token for ${session.user.id}...`);
+
+  const response = await axios.post(
+    'https://accounts.spotify.com/api/token',
+    new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken
+    }),
+    {
+      headers: {
+        'Authorization': `Basic ${getAuthToken()}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
       }
-    );
+    }
+  );
 
-    spotifyAccessToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-    return spotifyAccessToken;
-  } catch (error) {
-    console.error('Error getting Spotify token:', error.response?.data || error.message);
-    throw error;
+  session.accessToken = response.data.access_token;
+  session.expiresAt = Date.now() + (response.data.expires_in * 1000);
+  // Spotify only sometimes rotates the refresh token
+  if (response.data.refresh_token) {
+    session.refreshToken = response.data.refresh_token;
   }
+
+  return session.accessToken;
 }
 
-// User token for playlist access (Owen's account)
-let userAccessToken = null;
-let userTokenExpiry = null;
-const USER_REFRESH_TOKEN = process.env.SPOTIFY_REFRESH_TOKEN;
+// Middleware for user-scoped routes: needs a login session, sets req.session and req.userToken
+async function requireUserSession(req, res, next) {
+  const session = sessionStore.get(req);
 
-// Get User Access Token (for playlist access using Owen's account)
-async function getUserAccessToken() {
-  // If token is still valid, return it
-  if (userAccessToken && userTokenExpiry && Date.now() < userTokenExpiry) {
-    return userAccessToken;
+  if (!session) {
+    return res.status(401).json({ error: 'Not logged in' });
   }
 
-  if (!USER_REFRESH_TOKEN) {
-    throw new Error('SPOTIFY_REFRESH_TOKEN not configured. Please set up Owen\'s refresh token.');
+  try {
+    req.session = session;
+    req.userToken = await getSessionAccessToken(session);
+    next();
+  } catch (error) {
+    // Refresh token revoked or expired - make them log in again
+    console.error('❌ Error refreshing session token:', error.response?.data || error.message);
+    sessionStore.destroy(req, res);
+    res.status(401).json({ error: 'Spotify login expired. Please log in again.' });
   }
+}
 
-  console.log('🔄 Refreshing user access token...');
+// Token for admin-only routes (history imports) - those routes are disabled when it isn't set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
-  try {
-    const response = await axios.post(
-      'https://accounts.spotify.com/api/token',
-      new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: USER_REFRESH_TOKEN
-      }),
-      {
-        headers: {
-          'Authorization': `Basic ${getAuthToken()}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
+// Middleware for admin-only routes: needs `Authorization: Bearer <ADMIN_TOKEN>`
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin routes are disabled (ADMIN_TOKEN not configured)' });
+  }
 
-    userAccessToken = response.data.access_token;
-    userTokenExpiry = Date.now() + (response.data.expires_in * 1000);
-    
-    console.log('✅ User access token refreshed successfully');
-    return userAccessToken;
-  } catch (error) {
-    console.error('❌ Error refreshing user token:', error.response?.data || error.message);
-    throw error;
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+
+  // Constant-time compare so the token can't be guessed a character at a time
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
   }
+
+  next();
 }
 
 // Spotify Authorization endpoint
@@ -284,7 +593,8 @@ app.get('/login', (req, res) => {
     `response_type=code&` +
     `client_id=${CLIENT_ID}&` +
     `scope=${encodeURIComponent(scopes)}&` +
-    `redirect_uri=${encodeURIComponent(REDIRECT_URI)}`;
+    `redirect_uri=${encodeURIComponent(REDIRECT_URI)}&` +
+    `state=${sessionStore.createState(res)}`;
   
   res.json({ authUrl });
 });
@@ -297,6 +607,7 @@ app.get('/setup-token', (req, res) => {
     `client_id=${CLIENT_ID}&` +
     `scope=${encodeURIComponent(scopes)}&` +
     `redirect_uri=${encodeURIComponent(REDIRECT_URI)}&` +
+    `state=${sessionStore.createState(res)}&` +
     `show_dialog=true`;
   
   res.redirect(authUrl);
@@ -305,17 +616,11 @@ app.get('/setup-token', (req, res) => {
 // DEBUG: Check what the token can access
 app.get('/debug-token', async (req, res) => {
   try {
-    const token = await getUserAccessToken();
-    
     // Try to get user's profile
-    const profileResponse = await axios.get('https://api.spotify.com/v1/me', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
+    const profileResponse = await spotifyGet('https://api.spotify.com/v1/me', 'user');
     
     // Try to get user's playlists
-    const playlistsResponse = await axios.get('https://api.spotify.com/v1/me/playlists?limit=5', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
+    const playlistsResponse = await spotifyGet('https://api.spotify.com/v1/me/playlists?limit=5', 'user');
     
     res.json({
       message: 'Token is valid',
@@ -336,6 +641,11 @@ app.get('/debug-token', async (req, res) => {
 app.get('/callback', async (req, res) => {
   const code = req.query.code;
 
+  // Must come back with the state we sent (stops forged login callbacks)
+  if (!sessionStore.verifyState(req, res)) {
+    return res.status(403).json({ error: 'Invalid login state. Please try logging in again.' });
+  }
+
   if (!code) {
     return res.status(400).json({ error: 'No authorization code provided' });
   }
@@ -359,7 +669,7 @@ app.get('/callback', async (req, res) => {
     const { access_token, refresh_token, expires_in } = response.data;
 
     // If refresh token isn't configured yet, show it for setup
-    if (!USER_REFRESH_TOKEN && refresh_token) {
+    if (!credentialPool.hasUserCredentials() && refresh_token) {
       return res.send(`
         <html>
           <head>
@@ -422,42 +732,64 @@ app.get('/callback', async (req, res) => {
       `);
     }
 
-    // In production, redirect to root with token
-    // In development, return JSON
-    if (process.env.NODE_ENV === 'production') {
-      res.redirect(`/?access_token=${access_token}`);
-    } else {
-      res.json({ access_token, refresh_token, expires_in });
-    }
+    // Tokens stay on the server - the browser just gets a session cookie
+    const profileResponse = await axios.get('https://api.spotify.com/v1/me', {
+      headers: { 'Authorization': `Bearer ${access_token}` }
+    });
+
+    sessionStore.create(res, {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: Date.now() + (expires_in * 1000),
+      user: {
+        id: profileResponse.data.id,
+        displayName: profileResponse.data.display_name || profileResponse.data.id
+      }
+    });
+
+    console.log(`👤 ${profileResponse.data.id} logged in`);
+    res.redirect(CLIENT_URL);
   } catch (error) {
     console.error('Error exchanging code for token:', error.response?.data || error.message);
     res.status(500).json({ error: 'Failed to authenticate with Spotify' });
   }
 });
 
-// Get user's playlists
-app.get('/api/playlists', async (req, res) => {
-  const userToken = req.headers.authorization?.split(' ')[1];
+// Log out: forget the session and its tokens
+app.post('/logout', (req, res) => {
+  sessionStore.destroy(req, res);
+  res.json({ loggedIn: false });
+});
 
-  if (!userToken) {
-    return res.status(401).json({ error: 'No access token provided' });
-  }
+// Who's logged in
+app.get('/api/me', requireUserSession, (req, res) => {
+  res.json({ loggedIn: true, user: req.session.user });
+});
 
-  try {
-    let allPlaylists = [];
-    let url = 'https://api.spotify.com/v1/me/playlists?limit=50';
+// Helper function to get all of a logged-in user's playlists
+async function fetchUserPlaylists(userToken) {
+  let allPlaylists = [];
+  let url = 'https://api.spotify.com/v1/me/playlists?limit=50';
 
-    // Paginate through all playlists
-    while (url) {
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${userToken}`
-        }
-      });
+  // Paginate through all playlists
+  while (url) {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${userToken}`
+      }
+    });
 
-      allPlaylists = allPlaylists.concat(response.data.items);
-      url = response.data.next; // Next page URL, or null if done
-    }
+    allPlaylists = allPlaylists.concat(response.data.items);
+    url = response.data.next; // Next page URL, or null if done
+  }
+
+  return allPlaylists;
+}
+
+// Get user's playlists
+app.get('/api/playlists', requireUserSession, async (req, res) => {
+  try {
+    const allPlaylists = await fetchUserPlaylists(req.userToken);
 
     res.json({ items: allPlaylists });
   } catch (error) {
@@ -467,13 +799,9 @@ app.get('/api/playlists', async (req, res) => {
 });
 
 // Get playlist tracks with added dates
-app.get('/api/playlist/:playlistId/tracks', async (req, res) => {
+app.get('/api/playlist/:playlistId/tracks', requireUserSession, async (req, res) => {
   const { playlistId } = req.params;
-  const userToken = req.headers.authorization?.split(' ')[1];
-
-  if (!userToken) {
-    return res.status(401).json({ error: 'No access token provided' });
-  }
+  const userToken = req.userToken;
 
   try {
     let allTracks = [];
@@ -505,17 +833,16 @@ app.get('/api/artist/:artistId', async (req, res) => {
   const { artistId } = req.params;
 
   try {
-    const token = await getSpotifyToken();
-    const response = await axios.get(`https://api.spotify.com/v1/artists/${artistId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const artistData = await getCachedArtist(artistId);
+
+    if (!artistData) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
 
-    res.json(response.data);
+    res.json(artistData);
   } catch (error) {
     console.error('Error fetching artist data:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to fetch artist data' });
+    sendArtistError(res, error, 'Failed to fetch artist data');
   }
 });
 
@@ -525,100 +852,120 @@ app.get('/api/artist/:artistId/history', async (req, res) => {
 
   try {
     // First, get artist name from Spotify
-    const token = await getSpotifyToken();
-    const artistResponse = await axios.get(`https://api.spotify.com/v1/artists/${artistId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const artistData = await getCachedArtist(artistId);
+
+    if (!artistData) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
 
-    const artistName = artistResponse.data.name;
+    const artistName = artistData.name;
+
+    // Then pull the monthly listener series from artist.tools
+    const history = await scraper.getHistoricalData(artistName, artistId);
 
-    // Try to fetch from artist.tools (they may have an API or we'll need to scrape)
-    // For now, we'll return a placeholder that indicates we need to implement the scraping
     res.json({
       artistId,
       artistName,
-      message: 'Historical data integration pending - need to implement artist.tools scraping',
-      currentListeners: artistResponse.data.followers.total,
-      popularity: artistResponse.data.popularity
+      available: history.available,
+      dataPoints: history.dataPoints,
+      currentListeners: artistData.followers.total,
+      popularity: artistData.popularity
     });
   } catch (error) {
     console.error('Error fetching artist history:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to fetch artist history' });
+    sendArtistError(res, error, 'Failed to fetch artist history');
+  }
+});
+
+// Growth curve fitted to an artist's history - what estimates for them run backwards
+app.get('/api/artist/:artistId/growth-curve', async (req, res) => {
+  const { artistId } = req.params;
+
+  try {
+    const artistData = await getCachedArtist(artistId);
+
+    if (!artistData) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+
+    const current = listenerEstimator.estimateCurrentListeners({
+      followers: artistData.followers.total,
+      popularity: artistData.popularity,
+      observed: scoringModel.active.listenerEstimation ? await historyProviders.getLatestObserved(artistData) : null
+    });
+
+    res.json({
+      artistId,
+      artistName: artistData.name,
+      listenerMetric: current.metric,
+      currentListeners: current.value,
+      scoringModelVersion: scoringModel.active.version,
+      curve: await historyProviders.getGrowthCurve(artistData, current.value)
+    });
+  } catch (error) {
+    console.error('Error fitting artist growth curve:', error.response?.data || error.message);
+    sendArtistError(res, error, 'Failed to fit artist growth curve');
+  }
+});
+
+// Import historical listeners from a CSV export (artistId,date,listeners)
+// Admin only - imports feed every user's scores
+app.post('/api/history/import', requireAdminToken, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Expected a CSV body with artistId,date,listeners rows' });
+  }
+
+  try {
+    const result = historyProviders.getProvider('csv').importCsv(req.body);
+
+    if (result.imported === 0) {
+      return res.status(400).json({ error: 'No valid rows found in CSV', ...result });
+    }
+
+    console.log(`📄 Imported ${result.imported} history rows for ${result.artists} artists (${result.skipped} skipped)`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing history CSV:', error.message);
+    res.status(500).json({ error: 'Failed to import history CSV' });
   }
 });
 
 // Calculate clout score for a playlist
 app.post('/api/calculate-clout', async (req, res) => {
-  const { playlistId, tracks } = req.body;
+  const { playlistId, tracks, artistStrategy = DEFAULT_ARTIST_STRATEGY, countArtistsOnce = false } = req.body;
 
   if (!tracks || !Array.isArray(tracks)) {
     return res.status(400).json({ error: 'Invalid tracks data' });
   }
 
+  if (!ARTIST_STRATEGIES.includes(artistStrategy)) {
+    return res.status(400).json({ error: `artistStrategy must be one of: ${ARTIST_STRATEGIES.join(', ')}` });
+  }
+
   try {
-    const token = await getSpotifyToken();
-    const scraper = require('./artistToolsScraper');
+    const validTracks = tracks.filter(track => track.track?.artists?.[0]?.id);
     const cloutData = [];
 
-    for (const track of tracks) {
-      if (!track.track || !track.track.artists) continue;
-
-      const artist = track.track.artists[0];
-      const addedAt = new Date(track.added_at);
-
-      // Get current artist data with caching
-      const artistData = await getCachedArtist(artist.id, token);
-
-      const currentFollowers = artistData.followers.total;
-      const popularity = artistData.popularity;
+    // Get current artist data for every distinct artist up front (cached + batched)
+    const artistIds = validTracks.flatMap(track => getScoredArtists(track, artistStrategy).map(artist => artist.id));
+    const artists = await getCachedArtists(artistIds);
+    await prefetchHistories(artists);
 
-      // Estimate what monthly listeners were when track was added
-      // Note: Using followers as proxy for monthly listeners
-      // In reality, monthly listeners ≈ followers * 2-5x depending on artist
-      const estimatedListenersWhenAdded = scraper.estimateListenersAtDate(currentFollowers, addedAt);
-      
-      // Calculate inflation-adjusted clout score
-      const cloutMetrics = scraper.calculateCloutScore(
-        estimatedListenersWhenAdded,
-        currentFollowers,
-        addedAt
-      );
-
-      cloutData.push({
-        trackName: track.track.name,
-        artistName: artist.name,
-        artistId: artist.id,
-        addedAt: track.added_at,
-        currentFollowers,
-        followersWhenAdded: estimatedListenersWhenAdded,
-        popularity,
-        rawGrowth: Math.round(cloutMetrics.rawGrowth),
-        inflationAdjustedGrowth: cloutMetrics.inflationAdjustedGrowth,
-        discoveryTier: cloutMetrics.discoveryTier,
-        earlyDiscoveryBonus: cloutMetrics.earlyDiscoveryMultiplier,
-        cloutScore: cloutMetrics.score
-      });
+    for (const track of validTracks) {
+      const trackClout = await scoreTrack(track, artists, artistStrategy, { cachedOnly: true });
+      if (trackClout) cloutData.push(trackClout);
     }
 
-    // Calculate total playlist clout score
-    const totalClout = cloutData.reduce((sum, item) => sum + item.cloutScore, 0);
-    const averageClout = totalClout / cloutData.length;
-    
-    // Normalized score: average × √(track_count)
-    const normalizedScore = averageClout * Math.sqrt(cloutData.length);
-
     // Sort by clout score (highest first)
     cloutData.sort((a, b) => b.cloutScore - a.cloutScore);
 
     res.json({
       playlistId,
-      averageClout: Math.round(averageClout),
-      normalizedScore: Math.round(normalizedScore),
-      totalClout: Math.round(totalClout),
-      trackCount: cloutData.length,
+      ...summarizeScores(cloutData, Boolean(countArtistsOnce)),
       tracks: cloutData,
+      artistStrategy,
+      scoringModelVersion: scoringModel.active.version,
+      listenerMetric: getListenerMetric(),
       note: 'Scores are inflation-adjusted. Normalized score accounts for playlist size.'
     });
   } catch (error) {
@@ -627,31 +974,344 @@ app.post('/api/calculate-clout', async (req, res) => {
   }
 });
 
-// New endpoint: Analyze public playlist without user auth
-app.post('/api/analyze-public-playlist', async (req, res) => {
-  const { playlistId } = req.body;
+// What-if simulator: run the scoring formula on any inputs and return every component
+// Body: { listenersAtAdd, currentListeners, addedDate, scoringModelVersion? }
+//   or: { resultId, trackIndex, overrides: { listenersAtAdd?, currentListeners?, addedDate? } }
+//       to start from a real scored track (scored with the model that scored it)
+app.post('/api/simulate', (req, res) => {
+  const { resultId, trackIndex, overrides = {} } = req.body;
+  let inputs = {
+    listenersAtAdd: req.body.listenersAtAdd,
+    currentListeners: req.body.currentListeners,
+    addedDate: req.body.addedDate
+  };
+  let modelVersion = req.body.scoringModelVersion;
+  let source = null;
+
+  if (resultId) {
+    const result = resultStore.get(resultId);
+    const track = result?.tracks[trackIndex];
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found in stored result' });
+    }
+
+    inputs = {
+      listenersAtAdd: track.followersWhenAdded,
+      currentListeners: track.currentFollowers,
+      addedDate: track.addedAt,
+      ...overrides
+    };
+    modelVersion = modelVersion || result.scoringModelVersion;
+    source = {
+      resultId,
+      trackIndex,
+      trackName: track.trackName,
+      artistName: track.artistName,
+      actual: {
+        listenersAtAdd: track.followersWhenAdded,
+        currentListeners: track.currentFollowers,
+        addedDate: track.addedAt,
+        cloutScore: track.cloutScore
+      }
+    };
+  }
+
+  const listenersAtAdd = Number(inputs.listenersAtAdd);
+  const currentListeners = Number(inputs.currentListeners);
+  const addedDate = new Date(inputs.addedDate);
+
+  if (!Number.isFinite(listenersAtAdd) || listenersAtAdd < 0 || !Number.isFinite(currentListeners) || currentListeners < 0) {
+    return res.status(400).json({ error: 'listenersAtAdd and currentListeners must be non-negative numbers' });
+  }
+
+  if (isNaN(addedDate) || addedDate > new Date()) {
+    return res.status(400).json({ error: 'addedDate must be a valid date in the past' });
+  }
+
+  const model = modelVersion ? scoringModel.get(modelVersion) : scoringModel.active;
+
+  if (!model) {
+    return res.status(404).json({ error: `Unknown scoring model version: ${modelVersion}` });
+  }
+
+  res.json({
+    inputs: { listenersAtAdd, currentListeners, addedDate: addedDate.toISOString() },
+    breakdown: scraper.calculateCloutScore(listenersAtAdd, currentListeners, addedDate, model),
+    source
+  });
+});
+
+// Analyze a public playlist end to end (runs inside the job queue)
+// Throws errors with sentinel messages that getAnalysisErrorResponse turns into HTTP responses
+// reportProgress({ stage, message, percent, ... }) is streamed to the client over SSE
+// Pass playlistToken to read a private playlist with its owner's token instead of Owen's
+async function analyzePublicPlaylist({ playlistId, artistStrategy, countArtistsOnce, playlistToken }, reportProgress = () => {}) {
+  // Playlists require user auth: the pool's account tokens (Owen's), or the owner's own token
+  const getPlaylistPage = url => (playlistToken
+    ? axios.get(url, { headers: { 'Authorization': `Bearer ${playlistToken}` } })
+    : spotifyGet(url, 'user'));
+  
+  // Get playlist info
+  const playlistUrl = `https://api.spotify.com/v1/playlists/${playlistId}`;
+  console.log('Requesting:', playlistUrl);
+  
+  const playlistResponse = await getPlaylistPage(playlistUrl).catch(err => {
+    console.error('Spotify API Error Details:', {
+      status: err.response?.status,
+      statusText: err.response?.statusText,
+      data: err.response?.data,
+      url: playlistUrl,
+      authHeaderPresent: !!err.config?.headers?.Authorization
+    });
+    
+    // If 404, playlist might be private or not exist
+    if (err.response?.status === 404) {
+      throw new Error('PRIVATE_PLAYLIST');
+    }
+    throw err;
+  });
+
+  console.log('✅ Playlist found:', playlistResponse.data.name);
+
+  const playlistName = playlistResponse.data.name;
+  const totalPages = Math.max(Math.ceil((playlistResponse.data.tracks?.total || 0) / 100), 1);
+
+  reportProgress({ stage: 'playlist', message: `Found "${playlistName}"`, percent: 5, playlistName });
+  
+  // Get all tracks with pagination (using user token)
+  let allTracks = [];
+  let url = `https://api.spotify.com/v1/playlists/${playlistId}/tracks?limit=100`;
+  let page = 0;
+
+  while (url) {
+    const tracksResponse = await getPlaylistPage(url);
+
+    allTracks = allTracks.concat(tracksResponse.data.items);
+    url = tracksResponse.data.next;
+    page++;
+
+    reportProgress({
+      stage: 'tracks',
+      message: `Fetched page ${page} of ${totalPages} (${allTracks.length} tracks)`,
+      percent: 5 + Math.round(20 * Math.min(page / totalPages, 1)),
+      page,
+      totalPages
+    });
+  }
+
+  console.log(`Found ${allTracks.length} tracks, analyzing...`);
+  
+  // Skip tracks with missing data
+  const validTracks = allTracks.filter(track => {
+    if (!track.track) {
+      console.log('⚠️  Skipping track: no track data');
+      return false;
+    }
+    
+    if (!track.track.artists || track.track.artists.length === 0) {
+      console.log('⚠️  Skipping track:', track.track.name, '- no artists');
+      return false;
+    }
+    
+    if (!track.track.artists[0].id) {
+      console.log('⚠️  Skipping track:', track.track.name, '- artist has no ID');
+      return false;
+    }
+    
+    return true;
+  });
+  
+  // Get current artist data for every distinct artist up front
+  // Cached artists are skipped, the rest are fetched in batches of 50 (using client credentials, more rate limit headroom)
+  const artistIds = validTracks.flatMap(track => getScoredArtists(track, artistStrategy).map(artist => artist.id));
+  const artists = await getCachedArtists(artistIds, (resolved, total) => {
+    reportProgress({
+      stage: 'artists',
+      message: `Resolved ${resolved}/${total} artists`,
+      percent: 25 + Math.round(35 * (total ? resolved / total : 1)),
+      resolved,
+      total
+    });
+  });
+
+  // Fetch listener histories in parallel (within the job's time budget) so scoring doesn't wait on them
+  reportProgress({ stage: 'history', message: 'Fetching listener history', percent: 60 });
+  await prefetchHistories(artists);
+  
+  // Calculate clout for each track
+  const cloutData = [];
+
+  for (const [index, track] of validTracks.entries()) {
+    // Report every 10 tracks
+    if (index % 10 === 0) {
+      reportProgress({
+        stage: 'scoring',
+        message: `Scoring track ${index + 1} of ${validTracks.length}`,
+        percent: 60 + Math.round(39 * index / validTracks.length),
+        scored: index,
+        total: validTracks.length
+      });
+    }
+
+    try {
+      const trackClout = await scoreTrack(track, artists, artistStrategy, { cachedOnly: true });
+      
+      if (!trackClout) {
+        console.log('⚠️  Skipping track:', track.track.name, '- artist data unavailable');
+        continue;
+      }
+
+      cloutData.push(trackClout);
+    } catch (error) {
+      console.error('❌ Error processing track:', track.track?.name || 'Unknown', '-', error.message);
+      // Skip this track and continue with the rest
+      continue;
+    }
+  }
+
+  console.log(`✅ Successfully analyzed ${cloutData.length} out of ${allTracks.length} tracks`);
+  reportProgress({ stage: 'scored', message: 'Scoring done', percent: 100, scored: cloutData.length, total: validTracks.length });
+
+  if (cloutData.length === 0) {
+    // Check if we failed due to timeout
+    if (isSpotifyInTimeout()) {
+      throw new Error('SPOTIFY_TIMEOUT');
+    }
+    
+    throw new Error('NO_VALID_TRACKS');
+  }
+
+  // Sort by clout score
+  cloutData.sort((a, b) => b.cloutScore - a.cloutScore);
+
+  return {
+    playlistId,
+    playlistName,
+    snapshotId: playlistResponse.data.snapshot_id,
+    isPublic: playlistResponse.data.public !== false,
+    ...summarizeScores(cloutData, Boolean(countArtistsOnce)),
+    tracks: cloutData,
+    artistStrategy,
+    scoringModelVersion: scoringModel.active.version,
+    listenerMetric: getListenerMetric(),
+    note: countArtistsOnce
+      ? 'Scores are inflation-adjusted. Each artist counts once, from when they were first added. Normalized score accounts for playlist size using √(artist_count).'
+      : 'Scores are inflation-adjusted. Normalized score accounts for playlist size using √(track_count).'
+  };
+}
+
+// Helper function to map an analysis error to the status + body we send to the client
+function getAnalysisErrorResponse(error) {
+  // Check for Spotify timeout error
+  if (error.message === 'SPOTIFY_TIMEOUT') {
+    const until = getTimeoutUntil() || Date.now();
+    const hoursRemaining = Math.ceil((until - Date.now()) / (1000 * 60 * 60));
+    return {
+      status: 503,
+      body: {
+        error: 'SPOTIFY_TIMEOUT',
+        message: `Spotify has put us in timeout due to high traffic. Please try again in ${hoursRemaining} hour(s).`,
+        timeoutUntil: new Date(until).toISOString()
+      }
+    };
+  }
+  
+  if (error.message === 'SPOTIFY_RATE_LIMITED') {
+    const secondsRemaining = Math.ceil((error.retryAt - Date.now()) / 1000);
+    return {
+      status: 503,
+      body: {
+        error: 'SPOTIFY_RATE_LIMITED',
+        message: `Spotify is rate limiting us. Please try again in ${secondsRemaining} second(s).`,
+        retryAt: new Date(error.retryAt).toISOString()
+      }
+    };
+  }
+  
+  if (error.message === 'NO_VALID_TRACKS') {
+    return {
+      status: 400,
+      body: { error: 'No valid tracks found in playlist. Playlist may contain only podcasts or local files.' }
+    };
+  }
+  
+  if (error.message === 'PRIVATE_PLAYLIST') {
+    return {
+      status: 404,
+      body: { error: 'This playlist is private or requires authentication. Please make sure the playlist is public.' }
+    };
+  }
+  
+  if (error.message === 'SESSION_EXPIRED') {
+    return { status: 401, body: { error: 'Spotify login expired. Please log in again.' } };
+  }
+
+  if (error.response?.status === 404) {
+    return { status: 404, body: { error: 'Playlist not found or is private' } };
+  }
+  
+  if (error.response?.status === 401) {
+    return { status: 500, body: { error: 'Authentication error. Please try again.' } };
+  }
+  
+  return { status: 500, body: { error: 'Failed to analyze playlist' } };
+}
+
+const analysisQueue = new JobQueue(async (analysis, reportProgress) => {
+  try {
+    const result = await analyzePublicPlaylist(analysis, reportProgress);
+
+    // Private playlists (read with a user's token) are never stored - results are shareable by ID
+    if (analysis.playlistToken) return result;
+
+    // Keep it for the leaderboard (same playlist + snapshot updates its entry)
+    return resultStore.save(result);
+  } catch (error) {
+    console.error('Error analyzing playlist:', error.message);
+    throw error;
+  }
+}, { concurrency: ANALYSIS_WORKERS });
+
+// Helper function to describe a job for the client
+function getJobStatus(job) {
+  const status = {
+    jobId: job.id,
+    playlistId: job.payload.playlistId,
+    artistStrategy: job.payload.artistStrategy,
+    countArtistsOnce: Boolean(job.payload.countArtistsOnce),
+    state: job.state,
+    queuePosition: analysisQueue.getPosition(job),
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+
+  if (job.state === 'completed') {
+    status.result = job.result;
+  } else if (job.state === 'failed') {
+    const { status: errorStatus, body } = getAnalysisErrorResponse(job.error);
+    status.error = { status: errorStatus, ...body };
+  }
+
+  return status;
+}
+
+// Analyze public playlist without user auth
+// Queues an analysis job and returns its ID - poll GET /api/jobs/:jobId for the result
+app.post('/api/analyze-public-playlist', (req, res) => {
+  const { playlistId, artistStrategy = DEFAULT_ARTIST_STRATEGY, countArtistsOnce = false } = req.body;
   const userIP = getUserIP(req);
 
   console.log('Received playlist analysis request for:', playlistId, 'from IP:', userIP);
 
   // Check if Spotify has us in timeout
   if (isSpotifyInTimeout()) {
-    const hoursRemaining = Math.ceil((timeoutUntil - Date.now()) / (1000 * 60 * 60));
+    const hoursRemaining = Math.ceil((getTimeoutUntil() - Date.now()) / (1000 * 60 * 60));
     console.log(`🚫 Request rejected - in Spotify timeout (${hoursRemaining}h remaining)`);
-    return res.status(503).json({ 
-      error: 'SPOTIFY_TIMEOUT',
-      message: `Spotify has put us in timeout due to high traffic. Please try again in ${hoursRemaining} hour(s).`,
-      timeoutUntil: new Date(timeoutUntil).toISOString()
-    });
-  }
-
-  // Check if already processing (queue)
-  if (isProcessing) {
-    console.log(`⏳ Request queued - already processing another playlist`);
-    return res.status(429).json({ 
-      error: 'PROCESSING',
-      message: 'Another playlist is currently being analyzed. Please try again in a moment.'
-    });
+    const { status, body } = getAnalysisErrorResponse(new Error('SPOTIFY_TIMEOUT'));
+    return res.status(status).json(body);
   }
 
   // Check rate limit
@@ -666,202 +1326,426 @@ app.post('/api/analyze-public-playlist', async (req, res) => {
     return res.status(400).json({ error: 'Playlist ID is required' });
   }
 
-  // Mark as processing
-  isProcessing = true;
+  if (!ARTIST_STRATEGIES.includes(artistStrategy)) {
+    return res.status(400).json({ error: `artistStrategy must be one of: ${ARTIST_STRATEGIES.join(', ')}` });
+  }
 
-  try {
-    // Use Owen's user token for playlist access (playlists require user auth)
-    const userToken = await getUserAccessToken();
-    console.log('Got user token for playlist access');
-    console.log('Token preview:', userToken.substring(0, 20) + '...');
-    console.log('Token length:', userToken.length);
-    
-    // Get playlist info
-    const playlistUrl = `https://api.spotify.com/v1/playlists/${playlistId}`;
-    console.log('Requesting:', playlistUrl);
-    
-    const playlistResponse = await axios.get(playlistUrl, {
-      headers: {
-        'Authorization': `Bearer ${userToken}`
-      }
-    }).catch(err => {
-      console.error('Spotify API Error Details:', {
-        status: err.response?.status,
-        statusText: err.response?.statusText,
-        data: err.response?.data,
-        url: playlistUrl,
-        authHeaderPresent: !!err.config?.headers?.Authorization
-      });
-      
-      // If 404, playlist might be private or not exist
-      if (err.response?.status === 404) {
-        throw new Error('PRIVATE_PLAYLIST');
-      }
-      throw err;
+  // Same playlist + same scoring options shares one run
+  const analysis = { playlistId, artistStrategy, countArtistsOnce: Boolean(countArtistsOnce) };
+  const job = analysisQueue.enqueue(getAnalysisKey(analysis), analysis);
+
+  res.status(202).json(getJobStatus(job));
+});
+
+// Get the state (and result, once finished) of an analysis job
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = analysisQueue.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.json(getJobStatus(job));
+});
+
+// Head-to-head comparison of two or more public playlists
+// Runs (or joins) an analysis job per playlist, then diffs the results
+const MAX_COMPARE_PLAYLISTS = 5;
+
+app.post('/api/compare', async (req, res) => {
+  const { playlistIds, artistStrategy = DEFAULT_ARTIST_STRATEGY } = req.body;
+  const userIP = getUserIP(req);
+
+  if (!Array.isArray(playlistIds) || new Set(playlistIds).size < 2) {
+    return res.status(400).json({ error: 'At least two different playlist IDs are required' });
+  }
+
+  if (playlistIds.length > MAX_COMPARE_PLAYLISTS) {
+    return res.status(400).json({ error: `You can compare at most ${MAX_COMPARE_PLAYLISTS} playlists at once` });
+  }
+
+  if (!ARTIST_STRATEGIES.includes(artistStrategy)) {
+    return res.status(400).json({ error: `artistStrategy must be one of: ${ARTIST_STRATEGIES.join(', ')}` });
+  }
+
+  if (isSpotifyInTimeout()) {
+    const { status, body } = getAnalysisErrorResponse(new Error('SPOTIFY_TIMEOUT'));
+    return res.status(status).json(body);
+  }
+
+  if (!checkRateLimit(userIP)) {
+    console.log(`⛔ Rate limit exceeded for IP: ${userIP}`);
+    return res.status(429).json({ 
+      error: 'Too many requests. Please wait a minute before trying again.' 
     });
+  }
 
-    console.log('✅ Playlist found:', playlistResponse.data.name);
+  const uniqueIds = [...new Set(playlistIds)];
+  console.log(`🥊 Comparing ${uniqueIds.length} playlists: ${uniqueIds.join(', ')}`);
 
-    const playlistName = playlistResponse.data.name;
-    
-    // Get all tracks with pagination (using user token)
-    let allTracks = [];
-    let url = `https://api.spotify.com/v1/playlists/${playlistId}/tracks?limit=100`;
+  // Same queue as single analyses, so a playlist someone is already analyzing isn't run twice
+  const jobs = uniqueIds.map(playlistId => {
+    const analysis = { playlistId, artistStrategy, countArtistsOnce: false };
+    return analysisQueue.enqueue(getAnalysisKey(analysis), analysis);
+  });
+  const finished = await Promise.all(jobs.map(job => analysisQueue.wait(job)));
 
-    while (url) {
-      const tracksResponse = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${userToken}`
-        }
-      });
+  const failed = finished.find(job => job.state === 'failed');
+  if (failed) {
+    const { status, body } = getAnalysisErrorResponse(failed.error);
+    return res.status(status).json({ ...body, playlistId: failed.payload.playlistId });
+  }
 
-      allTracks = allTracks.concat(tracksResponse.data.items);
-      url = tracksResponse.data.next;
-    }
+  const analyses = finished.map(job => job.result);
 
-    console.log(`Found ${allTracks.length} tracks, analyzing...`);
-    
-    // For artist data, use client credentials (more rate limit headroom)
-    const clientToken = await getSpotifyToken();
-    
-    // Calculate clout for each track
-    const scraper = require('./artistToolsScraper');
-    const cloutData = [];
+  res.json({
+    ...comparePlaylists(analyses, scoringModel.active.tiers),
+    analyses,
+    artistStrategy,
+    scoringModelVersion: scoringModel.active.version
+  });
+});
 
-    for (const track of allTracks) {
-      // Skip tracks with missing data
-      if (!track.track) {
-        console.log('⚠️  Skipping track: no track data');
-        continue;
-      }
-      
-      if (!track.track.artists || track.track.artists.length === 0) {
-        console.log('⚠️  Skipping track:', track.track.name, '- no artists');
-        continue;
-      }
+// "My Clout": one listener-level score across every playlist the logged-in user owns
+// Runs as a single profile job that analyzes the playlists one at a time - so a profile
+// takes one rate-limit slot and one worker's worth of Spotify traffic, not fifty -
+// then credits each artist to the earliest add
+const MAX_PROFILE_PLAYLISTS = 50;
 
-      const artist = track.track.artists[0];
-      
-      if (!artist.id) {
-        console.log('⚠️  Skipping track:', track.track.name, '- artist has no ID');
-        continue;
-      }
-      
-      const addedAt = new Date(track.added_at);
+// Profiles can run past the access token's hour, so the job keeps the session ID
+// and gets a fresh token (refreshing if needed) as each private playlist starts
+async function getProfileJobToken(sessionId) {
+  const session = sessionStore.getById(sessionId);
+  if (!session) throw new Error('SESSION_EXPIRED');
 
-      try {
-        // Get current artist data with caching and retry logic (using client credentials)
-        const artistData = await getCachedArtist(artist.id, clientToken);
+  try {
+    return await getSessionAccessToken(session);
+  } catch (error) {
+    // Refresh token revoked or expired
+    console.error('❌ Error refreshing session token:', error.response?.data || error.message);
+    throw new Error('SESSION_EXPIRED');
+  }
+}
 
-        const currentFollowers = artistData.followers.total;
-        const popularity = artistData.popularity;
+const profileQueue = new JobQueue(async ({ user, sessionId, artistStrategy, playlists, truncated }, reportProgress) => {
+  const analyses = [];
+  const skipped = [];
+
+  for (const [index, playlist] of playlists.entries()) {
+    reportProgress({
+      stage: 'playlists',
+      message: `Analyzing playlist ${index + 1} of ${playlists.length}: ${playlist.name}`,
+      percent: Math.round(100 * index / playlists.length),
+      analyzed: index,
+      total: playlists.length
+    });
 
-        // Estimate listeners when track was added
-        const estimatedListenersWhenAdded = scraper.estimateListenersAtDate(currentFollowers, addedAt);
-        
-        // Calculate inflation-adjusted clout score
-        const cloutMetrics = scraper.calculateCloutScore(
-          estimatedListenersWhenAdded,
-          currentFollowers,
-          addedAt
-        );
-
-        cloutData.push({
-          trackName: track.track.name || 'Unknown',
-          artistName: artist.name || 'Unknown',
-          artistId: artist.id,
-          addedAt: track.added_at,
-          currentFollowers,
-          followersWhenAdded: estimatedListenersWhenAdded,
-          popularity,
-          rawGrowth: Math.round(cloutMetrics.rawGrowth),
-          inflationAdjustedGrowth: cloutMetrics.inflationAdjustedGrowth,
-          discoveryTier: cloutMetrics.discoveryTier,
-          tierEmoji: cloutMetrics.tierEmoji,
-          tierColor: cloutMetrics.tierColor,
-          earlyDiscoveryBonus: cloutMetrics.earlyDiscoveryMultiplier,
-          cloutScore: cloutMetrics.score
-        });
-      } catch (error) {
-        console.error('❌ Error processing track:', track.track?.name || 'Unknown', '-', error.message);
-        // Skip this track and continue with the rest
-        continue;
-      }
-    }
+    const analysis = { playlistId: playlist.id, artistStrategy, countArtistsOnce: false };
 
-    console.log(`✅ Successfully analyzed ${cloutData.length} out of ${allTracks.length} tracks`);
-
-    if (cloutData.length === 0) {
-      // Check if we failed due to timeout
-      if (isSpotifyInTimeout()) {
-        const hoursRemaining = Math.ceil((timeoutUntil - Date.now()) / (1000 * 60 * 60));
-        return res.status(503).json({ 
-          error: 'SPOTIFY_TIMEOUT',
-          message: `Spotify has put us in timeout due to high traffic. Please try again in ${hoursRemaining} hour(s).`,
-          timeoutUntil: new Date(timeoutUntil).toISOString()
-        });
+    try {
+      if (playlist.public) {
+        // Public playlists share jobs (and stored results) with everyone else
+        const job = await analysisQueue.wait(analysisQueue.enqueue(getAnalysisKey(analysis), analysis));
+        if (job.state === 'failed') throw job.error;
+        analyses.push(job.result);
+      } else {
+        // Private ones are read with the user's token and never stored - only the owner sees them
+        const playlistToken = await getProfileJobToken(sessionId);
+        analyses.push(await analyzePublicPlaylist({ ...analysis, playlistToken }));
       }
-      
-      return res.status(400).json({ 
-        error: 'No valid tracks found in playlist. Playlist may contain only podcasts or local files.' 
+    } catch (error) {
+      // A timeout or long rate limit will fail every remaining playlist too
+      if (error.message === 'SPOTIFY_TIMEOUT' || error.message === 'SPOTIFY_RATE_LIMITED') throw error;
+
+      // One unreadable playlist (only local files, or a private one after logout, say)
+      // shouldn't sink the whole profile
+      skipped.push({
+        playlistId: playlist.id,
+        playlistName: playlist.name,
+        error: getAnalysisErrorResponse(error).body.error
       });
     }
+  }
 
-    // Calculate totals
-    const totalClout = cloutData.reduce((sum, item) => sum + item.cloutScore, 0);
-    const averageClout = totalClout / cloutData.length;
-    
-    // Normalized score: average × √(track_count)
-    // This rewards larger playlists slightly but not linearly
-    // Prevents big playlists from dominating just due to size
-    const normalizedScore = averageClout * Math.sqrt(cloutData.length);
+  if (analyses.length === 0) {
+    const error = new Error('NO_ANALYZABLE_PLAYLISTS');
+    error.skipped = skipped;
+    throw error;
+  }
 
-    // Sort by clout score
-    cloutData.sort((a, b) => b.cloutScore - a.cloutScore);
+  return {
+    user,
+    ...buildUserProfile(analyses),
+    skipped,
+    truncated,
+    artistStrategy,
+    scoringModelVersion: scoringModel.active.version
+  };
+}, { concurrency: 1 });
+
+// Helper function to describe a profile job for its owner
+function getProfileJobStatus(job) {
+  const status = {
+    jobId: job.id,
+    state: job.state,
+    queuePosition: profileQueue.getPosition(job),
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+
+  if (job.state === 'completed') {
+    status.result = job.result;
+  } else if (job.state === 'failed') {
+    const { status: errorStatus, body } = job.error.message === 'NO_ANALYZABLE_PLAYLISTS'
+      ? { status: 400, body: { error: 'None of your playlists could be analyzed.', skipped: job.error.skipped } }
+      : getAnalysisErrorResponse(job.error);
+    status.error = { status: errorStatus, ...body };
+  }
 
-    res.json({
-      playlistId,
-      playlistName,
-      averageClout: Math.round(averageClout),
-      normalizedScore: Math.round(normalizedScore),
-      totalClout: Math.round(totalClout),
-      trackCount: cloutData.length,
-      tracks: cloutData,
-      note: 'Scores are inflation-adjusted. Normalized score accounts for playlist size using √(track_count).'
+  return status;
+}
+
+// Queues the profile job and returns its ID - poll GET /api/my-clout/jobs/:jobId for the result
+app.post('/api/my-clout', requireUserSession, async (req, res) => {
+  const { userToken } = req;
+  const { artistStrategy = DEFAULT_ARTIST_STRATEGY } = req.body;
+  const userIP = getUserIP(req);
+
+  if (!ARTIST_STRATEGIES.includes(artistStrategy)) {
+    return res.status(400).json({ error: `artistStrategy must be one of: ${ARTIST_STRATEGIES.join(', ')}` });
+  }
+
+  if (isSpotifyInTimeout()) {
+    const { status, body } = getAnalysisErrorResponse(new Error('SPOTIFY_TIMEOUT'));
+    return res.status(status).json(body);
+  }
+
+  if (!checkRateLimit(userIP)) {
+    console.log(`⛔ Rate limit exceeded for IP: ${userIP}`);
+    return res.status(429).json({ 
+      error: 'Too many requests. Please wait a minute before trying again.' 
     });
+  }
+
+  const { user } = req.session;
+  let ownPlaylists;
+
+  try {
+    // Only playlists the user made themselves, not ones they follow
+    ownPlaylists = (await fetchUserPlaylists(userToken))
+      .filter(playlist => playlist && playlist.owner?.id === user.id && playlist.tracks?.total > 0);
   } catch (error) {
-    console.error('Error analyzing playlist:', error.message);
-    
-    // Check for Spotify timeout error
-    if (error.message === 'SPOTIFY_TIMEOUT') {
-      const hoursRemaining = Math.ceil((timeoutUntil - Date.now()) / (1000 * 60 * 60));
-      return res.status(503).json({ 
-        error: 'SPOTIFY_TIMEOUT',
-        message: `Spotify has put us in timeout due to high traffic. Please try again in ${hoursRemaining} hour(s).`,
-        timeoutUntil: new Date(timeoutUntil).toISOString()
-      });
-    }
-    
-    if (error.message === 'PRIVATE_PLAYLIST') {
-      return res.status(404).json({ 
-        error: 'This playlist is private or requires authentication. Please make sure the playlist is public.' 
-      });
-    }
-    
-    if (error.response?.status === 404) {
-      return res.status(404).json({ error: 'Playlist not found or is private' });
-    }
-    
-    if (error.response?.status === 401) {
-      return res.status(500).json({ error: 'Authentication error. Please try again.' });
-    }
-    
-    res.status(500).json({ error: 'Failed to analyze playlist' });
-  } finally {
-    // Always release the processing lock
-    isProcessing = false;
-    console.log('🔓 Processing lock released');
+    console.error('Error fetching user playlists:', error.response?.data || error.message);
+    const status = error.response?.status === 401 ? 401 : 500;
+    return res.status(status).json({ error: status === 401 ? 'Spotify login expired. Please log in again.' : 'Failed to fetch playlists' });
+  }
+
+  if (ownPlaylists.length === 0) {
+    return res.status(400).json({ error: 'You don\'t have any playlists with tracks yet.' });
   }
+
+  // Past the cap the profile covers the first MAX_PROFILE_PLAYLISTS, and says so
+  const truncated = ownPlaylists.length > MAX_PROFILE_PLAYLISTS
+    ? { total: ownPlaylists.length, analyzed: MAX_PROFILE_PLAYLISTS, limit: MAX_PROFILE_PLAYLISTS }
+    : null;
+  ownPlaylists = ownPlaylists.slice(0, MAX_PROFILE_PLAYLISTS);
+
+  console.log(`👤 Building clout profile for ${user.id} from ${ownPlaylists.length} playlists${truncated ? ` (of ${truncated.total})` : ''}`);
+
+  // Clicking again while a profile is still running joins it
+  const job = profileQueue.enqueue(`${user.id}:${artistStrategy}`, {
+    user,
+    sessionId: req.session.id,
+    artistStrategy,
+    playlists: ownPlaylists.map(playlist => ({ id: playlist.id, name: playlist.name, public: playlist.public })),
+    truncated
+  });
+
+  res.status(202).json(getProfileJobStatus(job));
+});
+
+// Get the state (and profile, once finished) of the logged-in user's profile job
+app.get('/api/my-clout/jobs/:jobId', requireUserSession, (req, res) => {
+  const job = profileQueue.get(req.params.jobId);
+
+  // Someone else's job looks the same as a missing one
+  if (!job || job.payload.user.id !== req.session.user.id) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.json(getProfileJobStatus(job));
+});
+
+// Leaderboard filters
+const LEADERBOARD_WINDOWS = { day: 1, week: 7, month: 30, year: 365 }; // days
+const LEADERBOARD_BRACKETS = {
+  small: { min: 1, max: 49 },
+  medium: { min: 50, max: 199 },
+  large: { min: 200, max: Infinity }
+};
+
+// Global leaderboard of analyzed playlists, ranked by normalized score
+// Query: window=day|week|month|year|all, bracket=small|medium|large|all, limit
+app.get('/api/leaderboard', (req, res) => {
+  const { window = 'all', bracket = 'all' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '50') || 50, 200);
+
+  if (window !== 'all' && !LEADERBOARD_WINDOWS[window]) {
+    return res.status(400).json({ error: `window must be one of: all, ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` });
+  }
+
+  if (bracket !== 'all' && !LEADERBOARD_BRACKETS[bracket]) {
+    return res.status(400).json({ error: `bracket must be one of: all, ${Object.keys(LEADERBOARD_BRACKETS).join(', ')}` });
+  }
+
+  // Scores are only comparable when they were scored the same way - the default strategy,
+  // per track, with the active model. Playlists that were private when analyzed never show up
+  const config = {
+    artistStrategy: DEFAULT_ARTIST_STRATEGY,
+    countArtistsOnce: false,
+    scoringModelVersion: scoringModel.active.version
+  };
+  let entries = resultStore.getLatestPerPlaylist(config).filter(entry => entry.isPublic !== false);
+
+  if (window !== 'all') {
+    const since = new Date(Date.now() - LEADERBOARD_WINDOWS[window] * 24 * 60 * 60 * 1000).toISOString();
+    entries = entries.filter(entry => entry.analyzedAt >= since);
+  }
+
+  if (bracket !== 'all') {
+    const { min, max } = LEADERBOARD_BRACKETS[bracket];
+    entries = entries.filter(entry => entry.trackCount >= min && entry.trackCount <= max);
+  }
+
+  entries.sort((a, b) => b.normalizedScore - a.normalizedScore);
+
+  res.json({
+    window,
+    bracket,
+    artistStrategy: config.artistStrategy,
+    scoringModelVersion: config.scoringModelVersion,
+    total: entries.length,
+    entries: entries.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }))
+  });
+});
+
+// Helper function to render a stored result's share card, or send a 404
+function getShareCardSvg(req, res) {
+  const result = resultStore.get(req.params.resultId);
+
+  if (!result) {
+    res.status(404).json({ error: 'Result not found' });
+    return null;
+  }
+
+  // Tiers from the model that scored it, so old cards still render the same
+  const model = scoringModel.get(result.scoringModelVersion) || scoringModel.active;
+  return renderShareCardSvg(result, model.tiers);
+}
+
+// Shareable result card (SVG)
+app.get('/api/share/:resultId.svg', (req, res) => {
+  const svg = getShareCardSvg(req, res);
+  if (!svg) return;
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('image/svg+xml').send(svg);
+});
+
+// Shareable result card (PNG, for places that don't take SVG)
+app.get('/api/share/:resultId.png', (req, res) => {
+  const svg = getShareCardSvg(req, res);
+  if (!svg) return;
+
+  try {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('image/png').send(renderShareCardPng(svg));
+  } catch (error) {
+    console.error('Error rendering share card PNG:', error.message);
+    res.status(500).json({ error: 'Failed to render share card' });
+  }
+});
+
+// Export a stored result's full track breakdown (CSV or newline-delimited JSON)
+app.get('/api/results/:resultId/export.:format', (req, res) => {
+  const { resultId, format } = req.params;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const result = resultStore.get(resultId);
+
+  if (!result) {
+    return res.status(404).json({ error: 'Result not found' });
+  }
+
+  streamExport(result, format, res);
+});
+
+// Stream an analysis job's progress as Server-Sent Events
+// Sends 'progress' events while queued/running and a final 'done' event with the full status
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = analysisQueue.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendProgress = () => {
+    send('progress', {
+      state: job.state,
+      queuePosition: analysisQueue.getPosition(job),
+      progress: job.progress
+    });
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) sendProgress();
+  };
+
+  const onDone = (finished) => {
+    if (finished.id === job.id) finish();
+  };
+
+  // Keep idle connections open through proxies while waiting in line
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    analysisQueue.off('update', onUpdate);
+    analysisQueue.off('done', onDone);
+  };
+
+  function finish() {
+    send('done', getJobStatus(job));
+    cleanup();
+    res.end();
+  }
+
+  // Already finished before the client connected
+  if (job.state === 'completed' || job.state === 'failed') {
+    return finish();
+  }
+
+  analysisQueue.on('update', onUpdate);
+  analysisQueue.on('done', onDone);
+  req.on('close', cleanup);
+
+  sendProgress();
 });
 
 // Serve React app for all other routes in production
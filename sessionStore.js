@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+/**
+ * Login Sessions
+ *
+ * Keeps logged-in users' Spotify tokens server-side. The browser only ever gets
+ * an httpOnly cookie holding a random session ID signed with SESSION_SECRET,
+ * so tokens stay out of URLs, history and client-side JavaScript.
+ * Sessions live in memory: a restart logs everyone out.
+ */
+
+const SESSION_COOKIE = 'clout_session';
+const STATE_COOKIE = 'clout_oauth_state';
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish logging in
+
+class SessionStore {
+  constructor(secret, ttl) {
+    this.secret = secret;
+    this.ttl = ttl;
+    this.sessions = new Map(); // sessionId -> session
+  }
+
+  /**
+   * Sign a value so we can tell if the cookie was tampered with
+   * @param {string} value - Value to sign
+   * @returns {string} value.signature
+   */
+  sign(value) {
+    const signature = crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    return `${value}.${signature}`;
+  }
+
+  /**
+   * Check a signed value
+   * @param {string} signed - value.signature
+   * @returns {string|null} The original value, or null if the signature doesn't match
+   */
+  unsign(signed) {
+    if (!signed || !signed.includes('.')) return null;
+
+    const value = signed.slice(0, signed.lastIndexOf('.'));
+    const expected = Buffer.from(this.sign(value));
+    const actual = Buffer.from(signed);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Read one cookie from a request
+   * @param {Object} req - Express request
+   * @param {string} name - Cookie name
+   * @returns {string|null} Cookie value
+   */
+  getCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+      const separator = part.indexOf('=');
+      if (separator === -1) continue;
+
+      if (part.slice(0, separator).trim() === name) {
+        try {
+          return decodeURIComponent(part.slice(separator + 1).trim());
+        } catch {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getCookieOptions(maxAge) {
+    return {
+      httpOnly: true,
+      sameSite: 'lax', // Sent on the redirect back from Spotify, not on cross-site POSTs
+      secure: process.env.NODE_ENV === 'production',
+      maxAge
+    };
+  }
+
+  /**
+   * Start a login: remember a random state value in a short-lived cookie
+   * @param {Object} res - Express response
+   * @returns {string} State to send to Spotify
+   */
+  createState(res) {
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, this.sign(state), this.getCookieOptions(STATE_TTL));
+    return state;
+  }
+
+  /**
+   * Finish a login: check the state Spotify sent back matches ours (one use only)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {boolean} True if the state matches
+   */
+  verifyState(req, res) {
+    const expected = this.unsign(this.getCookie(req, STATE_COOKIE));
+    res.clearCookie(STATE_COOKIE, this.getCookieOptions());
+
+    return Boolean(expected) && expected === req.query.state;
+  }
+
+  /**
+   * Create a session and set its cookie
+   * @param {Object} res - Express response
+   * @param {Object} data - { accessToken, refreshToken, expiresAt, user }
+   * @returns {Object} The session
+   */
+  create(res, data) {
+    this.prune();
+
+    const session = {
+      ...data,
+      id: crypto.randomBytes(24).toString('base64url'),
+      expires: Date.now() + this.ttl
+    };
+
+    this.sessions.set(session.id, session);
+    res.cookie(SESSION_COOKIE, this.sign(session.id), this.getCookieOptions(this.ttl));
+
+    return session;
+  }
+
+  /**
+   * Get the session a request's cookie points to
+   * @param {Object} req - Express request
+   * @returns {Object|null} Session
+   */
+  get(req) {
+    return this.getById(this.unsign(this.getCookie(req, SESSION_COOKIE)));
+  }
+
+  /**
+   * Get a session by ID - for background work that outlives the request
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Session
+   */
+  getById(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+
+    if (!session) return null;
+
+    if (Date.now() > session.expires) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * End a request's session and clear its cookie
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  destroy(req, res) {
+    const session = this.get(req);
+    if (session) {
+      this.sessions.delete(session.id);
+    }
+
+    res.clearCookie(SESSION_COOKIE, this.getCookieOptions());
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of this.sessions) {
+      if (now > session.expires) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+  console.log('⚠️  SESSION_SECRET not set - using a random one, sessions end on restart');
+}
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30');
+
+module.exports = new SessionStore(SESSION_SECRET, SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
@@ -0,0 +1,137 @@
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+
+/**
+ * Shareable Result Cards
+ *
+ * Renders a stored analysis as a branded 1200x630 card (the Open Graph image size)
+ * entirely server-side: SVG built by hand, PNG rasterized with resvg.
+ *
+ * Fonts ship with the repo (fonts/, DejaVu Sans) so cards look the same on any host.
+ * resvg can't draw color emoji, so the card uses none: tiers get a colored dot, and
+ * emoji in playlist and track names are dropped rather than drawn as empty boxes.
+ */
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const GREEN = '#1DB954';
+const FONT = "'DejaVu Sans', sans-serif";
+const FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => path.join(__dirname, 'fonts', file));
+const EMOJI = /\p{Extended_Pictographic}\uFE0F?|\u200D/gu;
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Shorten text to fit on the card, without emoji
+ * @param {string} text - Text
+ * @param {number} maxLength - Max characters
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+  const chars = Array.from((text || '').replace(EMOJI, '').replace(/\s{2,}/g, ' ').trim()); // Don't split characters in half
+  return chars.length > maxLength ? chars.slice(0, maxLength - 1).join('') + '…' : chars.join('');
+}
+
+function formatScore(score) {
+  return `${score >= 0 ? '+' : ''}${Math.round(score).toLocaleString('en-US')}`;
+}
+
+/**
+ * Render a stored result as an SVG card
+ * @param {Object} result - Stored analysis result
+ * @param {Array<Object>} tiers - Tier table from the scoring model, smallest first
+ * @returns {string} SVG markup
+ */
+function renderShareCardSvg(result, tiers) {
+  const topTracks = [...result.tracks]
+    .sort((a, b) => b.cloutScore - a.cloutScore)
+    .slice(0, 3);
+
+  const topTrackRows = topTracks.map((track, index) => {
+    const y = 330 + index * 70;
+    const color = escapeXml(track.tierColor || '#95A5A6');
+    return `
+    <text x="60" y="${y + 8}" font-size="26" font-weight="700" fill="#FFFFFF">${index + 1}. ${escapeXml(truncate(track.trackName, 28))}</text>
+    <text x="60" y="${y + 38}" font-size="20" fill="#B3B3B3">${escapeXml(truncate(track.artistName, 34))}</text>
+    <rect x="540" y="${y - 18}" width="290" height="40" rx="20" fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-opacity="0.6"/>
+    <circle cx="566" cy="${y + 2}" r="7" fill="${color}"/>
+    <text x="695" y="${y + 9}" font-size="18" font-weight="700" fill="${color}" text-anchor="middle">${escapeXml(truncate((track.discoveryTier || '').toUpperCase(), 20))}</text>
+    <text x="1140" y="${y + 9}" font-size="26" font-weight="700" fill="${track.cloutScore >= 0 ? GREEN : '#E74C3C'}" text-anchor="end">${formatScore(track.cloutScore)}</text>`;
+  }).join('');
+
+  // Tier distribution as one stacked bar, biggest tiers labelled underneath
+  const counts = tiers
+    .map(tier => ({ ...tier, count: result.tracks.filter(track => track.discoveryTier === tier.name).length }))
+    .filter(tier => tier.count > 0);
+  const total = counts.reduce((sum, tier) => sum + tier.count, 0) || 1;
+  const barWidth = WIDTH - 120;
+  let offset = 60;
+
+  const barSegments = counts.map(tier => {
+    const width = (tier.count / total) * barWidth;
+    const segment = `<rect x="${offset}" y="545" width="${width}" height="18" fill="${escapeXml(tier.color)}"/>`;
+    offset += width;
+    return segment;
+  }).join('');
+
+  const legend = [...counts]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 4)
+    .map((tier, index) => `
+  <circle cx="${66 + index * 280}" cy="592" r="6" fill="${escapeXml(tier.color)}"/>
+  <text x="${80 + index * 280}" y="598" font-size="18" fill="${escapeXml(tier.color)}">${escapeXml(tier.name)} ${Math.round(tier.count / total * 100)}%</text>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#191414"/>
+      <stop offset="100%" stop-color="#0D2B18"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#background)"/>
+  <text x="60" y="70" font-size="26" font-weight="700" fill="${GREEN}">♪ Clout Calculator</text>
+  <text x="60" y="130" font-size="44" font-weight="800" fill="#FFFFFF">${escapeXml(truncate(result.playlistName, 40))}</text>
+  <text x="60" y="230" font-size="80" font-weight="800" fill="${GREEN}">${Math.round(result.normalizedScore).toLocaleString('en-US')}</text>
+  <text x="60" y="265" font-size="20" fill="#B3B3B3">NORMALIZED CLOUT</text>
+  <text x="1140" y="200" font-size="44" font-weight="700" fill="#FFFFFF" text-anchor="end">${Math.round(result.averageClout).toLocaleString('en-US')}</text>
+  <text x="1140" y="235" font-size="20" fill="#B3B3B3" text-anchor="end">AVG PER TRACK · ${result.trackCount} TRACKS</text>
+  <line x1="60" y1="290" x2="1140" y2="290" stroke="#FFFFFF" stroke-opacity="0.1"/>
+  ${topTrackRows}
+  ${barSegments}
+  ${legend}
+</svg>`;
+}
+
+/**
+ * Rasterize a card SVG to PNG with the bundled fonts
+ * (SHARE_CARD_FONT_DIR adds a folder of .ttf files, e.g. for scripts DejaVu doesn't cover)
+ * @param {string} svg - SVG markup
+ * @returns {Buffer} PNG data
+ */
+function renderShareCardPng(svg) {
+  const resvg = new Resvg(svg, {
+    font: {
+      loadSystemFonts: false,
+      fontFiles: FONT_FILES,
+      fontDirs: process.env.SHARE_CARD_FONT_DIR ? [process.env.SHARE_CARD_FONT_DIR] : [],
+      defaultFontFamily: 'DejaVu Sans'
+    }
+  });
+
+  return resvg.render().asPng();
+}
+
+module.exports = { renderShareCardSvg, renderShareCardPng };
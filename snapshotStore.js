@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Artist Follower Snapshot Store
+ *
+ * Every artist fetch from Spotify is recorded here as a dated snapshot so we
+ * can look up real follower counts for past dates instead of estimating them.
+ * Snapshots are kept in an append-only newline-delimited JSON file and loaded
+ * into memory at startup.
+ *
+ * One snapshot per artist per (UTC) day is plenty for dating adds, so a later
+ * fetch the same day replaces the earlier one. Replaced lines stay in the file
+ * until the next load, which compacts it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getDay = timestamp => Math.floor(timestamp / DAY_MS);
+
+class SnapshotStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.snapshots = new Map(); // artistId -> snapshots sorted by timestamp
+    this.load();
+  }
+
+  /**
+   * Load all snapshots from disk
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      console.log(`📸 No snapshot file yet, starting fresh at ${this.filePath}`);
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let lineCount = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      lineCount++;
+
+      try {
+        this.addToIndex(JSON.parse(line));
+      } catch (error) {
+        // A partially written line (e.g. crash mid-append) shouldn't kill the store
+        console.error('⚠️  Skipping malformed snapshot line:', error.message);
+      }
+    }
+
+    const count = this.countSnapshots();
+    console.log(`📸 Loaded ${count} artist snapshots for ${this.snapshots.size} artists`);
+
+    // Same-day duplicates and bad lines have piled up since the last load
+    if (lineCount > count) {
+      this.compact();
+      console.log(`🧹 Compacted snapshot file from ${lineCount} lines to ${count}`);
+    }
+  }
+
+  /**
+   * Rewrite the snapshot file with just the indexed snapshots
+   */
+  compact() {
+    const lines = [...this.snapshots.values()]
+      .flatMap(artistSnapshots => artistSnapshots.map(snapshot => JSON.stringify(snapshot) + '\n'));
+
+    // Write then rename, so a crash mid-write can't lose the old file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.join(''));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Count the snapshots in the index
+   * @returns {number} Snapshot count
+   */
+  countSnapshots() {
+    let count = 0;
+    for (const artistSnapshots of this.snapshots.values()) {
+      count += artistSnapshots.length;
+    }
+    return count;
+  }
+
+  /**
+   * Find the first snapshot taken after a time (binary search)
+   * @param {Array<Object>} artistSnapshots - Snapshots sorted by timestamp
+   * @param {number} time - Timestamp
+   * @returns {number} Index of the first later snapshot (length if none)
+   */
+  findIndexAfter(artistSnapshots, time) {
+    let low = 0;
+    let high = artistSnapshots.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (artistSnapshots[middle].timestamp <= time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Add a snapshot to the in-memory index, keeping it sorted by timestamp
+   * The latest snapshot of each day wins
+   * @param {Object} snapshot - { artistId, timestamp, followers, popularity }
+   * @returns {boolean} False if a later snapshot from the same day was already indexed
+   */
+  addToIndex(snapshot) {
+    const artistSnapshots = this.snapshots.get(snapshot.artistId) || [];
+    const index = this.findIndexAfter(artistSnapshots, snapshot.timestamp);
+    const day = getDay(snapshot.timestamp);
+
+    if (index < artistSnapshots.length && getDay(artistSnapshots[index].timestamp) === day) {
+      return false;
+    }
+
+    if (index > 0 && getDay(artistSnapshots[index - 1].timestamp) === day) {
+      artistSnapshots[index - 1] = snapshot;
+    } else {
+      artistSnapshots.splice(index, 0, snapshot);
+    }
+
+    this.snapshots.set(snapshot.artistId, artistSnapshots);
+    return true;
+  }
+
+  /**
+   * Record a snapshot from a Spotify artist object
+   * @param {Object} artistData - Artist object from the Spotify API
+   * @returns {Object} The stored snapshot
+   */
+  record(artistData) {
+    const snapshot = {
+      artistId: artistData.id,
+      timestamp: Date.now(),
+      followers: artistData.followers.total,
+      popularity: artistData.popularity
+    };
+
+    // Nothing new since this artist's last fetch today - don't grow the file
+    const latest = this.getNearestBefore(snapshot.artistId, new Date(snapshot.timestamp));
+    if (latest && getDay(latest.timestamp) === getDay(snapshot.timestamp) &&
+        latest.followers === snapshot.followers && latest.popularity === snapshot.popularity) {
+      return latest;
+    }
+
+    this.addToIndex(snapshot);
+
+    fs.appendFile(this.filePath, JSON.stringify(snapshot) + '\n', (error) => {
+      if (error) {
+        console.error(`❌ Failed to persist snapshot for ${snapshot.artistId}:`, error.message);
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Get the most recent snapshot taken on or before a date
+   * @param {string} artistId - Spotify artist ID
+   * @param {Date} date - Date to look up
+   * @returns {Object|null} Snapshot or null if none exists before the date
+   */
+  getNearestBefore(artistId, date) {
+    const artistSnapshots = this.snapshots.get(artistId);
+    if (!artistSnapshots) return null;
+
+    const index = this.findIndexAfter(artistSnapshots, date.getTime());
+    return index > 0 ? artistSnapshots[index - 1] : null;
+  }
+
+  /**
+   * Get every snapshot recorded for an artist
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Array<Object>} Snapshots sorted oldest first, at most one per day
+   */
+  getAll(artistId) {
+    return this.snapshots.get(artistId) || [];
+  }
+}
+
+const SNAPSHOT_STORE_PATH = process.env.SNAPSHOT_STORE_PATH ||
+  path.join(__dirname, 'data', 'artist-snapshots.ndjson');
+
+module.exports = new SnapshotStore(SNAPSHOT_STORE_PATH);
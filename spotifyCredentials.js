@@ -0,0 +1,264 @@
+const axios = require('./httpClient');
+
+/**
+ * Spotify Credential Pool
+ *
+ * Public-playlist and artist lookups can be spread over several Spotify apps
+ * (client ID + secret, optionally with an account refresh token for playlist reads).
+ * Each credential keeps its own tokens, request budget and rate-limit state, and
+ * requests rotate to the next healthy credential when one gets a 429.
+ * The site is only "in timeout" once every credential is.
+ *
+ * Configure with SPOTIFY_CREDENTIALS, a JSON array of
+ * { "name", "clientId", "clientSecret", "refreshToken" } (refreshToken optional).
+ * SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET / SPOTIFY_REFRESH_TOKEN still work
+ * and become the first credential in the pool.
+ */
+
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const BUDGET_WINDOW = 60 * 1000; // 1 minute
+const SEVERE_RETRY_AFTER = 3600; // seconds - anything longer takes a credential out for the day
+const SEVERE_TIMEOUT_HOURS = 24;
+
+class SpotifyCredential {
+  /**
+   * @param {Object} config - { name, clientId, clientSecret, refreshToken }
+   * @param {number} budget - Max requests per minute before we prefer other credentials
+   */
+  constructor({ name, clientId, clientSecret, refreshToken }, budget) {
+    this.name = name;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.refreshToken = refreshToken || null;
+    this.budget = budget;
+
+    this.clientToken = null;
+    this.clientTokenExpiry = null;
+    this.userToken = null;
+    this.userTokenExpiry = null;
+
+    this.requestTimes = []; // Request timestamps in the last budget window
+    this.coolingUntil = null; // Short 429: skip while others are available
+    this.timeoutUntil = null; // Severe 429: out of the pool until then
+  }
+
+  /**
+   * Whether this credential can make a kind of request
+   * @param {string} kind - 'client' (app token) or 'user' (account token, needed for playlists)
+   * @returns {boolean}
+   */
+  canServe(kind) {
+    return kind === 'client' || Boolean(this.refreshToken);
+  }
+
+  isInTimeout() {
+    if (this.timeoutUntil && Date.now() > this.timeoutUntil) {
+      this.timeoutUntil = null;
+      console.log(`✅ Spotify credential "${this.name}" is out of timeout`);
+    }
+    return Boolean(this.timeoutUntil);
+  }
+
+  isCooling() {
+    return Boolean(this.coolingUntil) && Date.now() < this.coolingUntil;
+  }
+
+  getBudgetRemaining() {
+    const now = Date.now();
+    this.requestTimes = this.requestTimes.filter(time => now - time < BUDGET_WINDOW);
+    return Math.max(this.budget - this.requestTimes.length, 0);
+  }
+
+  recordRequest() {
+    this.requestTimes.push(Date.now());
+  }
+
+  /**
+   * Note a 429 from Spotify
+   * @param {number} retryAfter - Seconds Spotify asked us to wait
+   */
+  markRateLimited(retryAfter) {
+    if (retryAfter > SEVERE_RETRY_AFTER) {
+      this.timeoutUntil = Date.now() + (SEVERE_TIMEOUT_HOURS * 60 * 60 * 1000);
+      console.error(`🚫 Severe rate limit on credential "${this.name}" (${retryAfter}s) - out until ${new Date(this.timeoutUntil).toISOString()}`);
+    } else {
+      this.coolingUntil = Date.now() + (retryAfter * 1000);
+      console.log(`⚠️  Credential "${this.name}" rate limited for ${retryAfter}s`);
+    }
+  }
+
+  getBasicAuth() {
+    return Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+  }
+
+  async requestToken(body) {
+    const response = await axios.post(TOKEN_URL, body, {
+      spotifyCredential: this.name,
+      headers: {
+        'Authorization': `Basic ${this.getBasicAuth()}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get an access token for a kind of request, refreshing it if needed
+   * @param {string} kind - 'client' or 'user'
+   * @returns {Promise<string>} Access token
+   */
+  async getToken(kind) {
+    if (kind === 'user') {
+      if (this.userToken && Date.now() < this.userTokenExpiry) return this.userToken;
+
+      console.log(`🔄 Refreshing user access token for credential "${this.name}"...`);
+      const data = await this.requestToken(new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken
+      }));
+
+      this.userToken = data.access_token;
+      this.userTokenExpiry = Date.now() + (data.expires_in * 1000);
+      return this.userToken;
+    }
+
+    if (this.clientToken && Date.now() < this.clientTokenExpiry) return this.clientToken;
+
+    const data = await this.requestToken('grant_type=client_credentials');
+    this.clientToken = data.access_token;
+    this.clientTokenExpiry = Date.now() + (data.expires_in * 1000);
+    return this.clientToken;
+  }
+
+  /**
+   * Describe this credential for status endpoints (no secrets)
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      canReadPlaylists: Boolean(this.refreshToken),
+      inTimeout: this.isInTimeout(),
+      timeoutUntil: this.timeoutUntil ? new Date(this.timeoutUntil).toISOString() : null,
+      cooling: this.isCooling(),
+      budgetRemaining: this.getBudgetRemaining(),
+      budget: this.budget
+    };
+  }
+}
+
+class CredentialPool {
+  /**
+   * @param {Array<Object>} configs - Credential configs
+   * @param {number} budget - Per-credential requests per minute
+   */
+  constructor(configs, budget) {
+    this.credentials = configs.map(config => new SpotifyCredential(config, budget));
+    this.nextIndex = 0;
+
+    console.log(`🔑 Spotify credential pool: ${this.credentials.length} credential(s), ` +
+      `${this.credentials.filter(credential => credential.canServe('user')).length} with playlist access`);
+  }
+
+  /**
+   * Pick the credential for the next request, round robin
+   * Prefers credentials that aren't cooling down and are under budget;
+   * falls back to the one that recovers soonest
+   * @param {string} kind - 'client' or 'user'
+   * @returns {SpotifyCredential}
+   */
+  acquire(kind) {
+    const candidates = [];
+
+    for (let i = 0; i < this.credentials.length; i++) {
+      const credential = this.credentials[(this.nextIndex + i) % this.credentials.length];
+      if (credential.canServe(kind) && !credential.isInTimeout()) {
+        candidates.push(credential);
+      }
+    }
+
+    if (candidates.length === 0) {
+      if (!this.credentials.some(credential => credential.canServe(kind))) {
+        throw new Error(kind === 'user'
+          ? 'SPOTIFY_REFRESH_TOKEN not configured. Please set up Owen\'s refresh token.'
+          : 'No Spotify client credentials configured');
+      }
+      throw new Error('SPOTIFY_TIMEOUT');
+    }
+
+    const chosen = candidates.find(credential => !credential.isCooling() && credential.getBudgetRemaining() > 0) ||
+      candidates.find(credential => !credential.isCooling()) ||
+      candidates.reduce((soonest, credential) => (credential.coolingUntil < soonest.coolingUntil ? credential : soonest));
+
+    this.nextIndex = (this.credentials.indexOf(chosen) + 1) % this.credentials.length;
+    return chosen;
+  }
+
+  /**
+   * Whether every credential that can make a kind of request is in timeout
+   * @param {string} kind - 'client' or 'user'
+   * @returns {boolean}
+   */
+  isExhausted(kind = 'client') {
+    const usable = this.credentials.filter(credential => credential.canServe(kind));
+    return usable.length > 0 && usable.every(credential => credential.isInTimeout());
+  }
+
+  /**
+   * When the first exhausted credential comes back
+   * @returns {number|null} Timestamp
+   */
+  getTimeoutUntil() {
+    const timeouts = this.credentials
+      .filter(credential => credential.isInTimeout())
+      .map(credential => credential.timeoutUntil);
+
+    return timeouts.length ? Math.min(...timeouts) : null;
+  }
+
+  hasUserCredentials() {
+    return this.credentials.some(credential => credential.canServe('user'));
+  }
+
+  getStatus() {
+    return this.credentials.map(credential => credential.getStatus());
+  }
+}
+
+/**
+ * Read the pool config from the environment
+ * @returns {Array<Object>} Credential configs
+ */
+function loadCredentialConfigs() {
+  const configs = [];
+
+  if (process.env.SPOTIFY_CLIENT_ID || process.env.SPOTIFY_REFRESH_TOKEN) {
+    configs.push({
+      name: 'default',
+      clientId: process.env.SPOTIFY_CLIENT_ID,
+      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+      refreshToken: process.env.SPOTIFY_REFRESH_TOKEN
+    });
+  }
+
+  if (process.env.SPOTIFY_CREDENTIALS) {
+    try {
+      JSON.parse(process.env.SPOTIFY_CREDENTIALS).forEach((config, index) => {
+        if (!config.clientId || !config.clientSecret) {
+          console.error(`⚠️  Skipping SPOTIFY_CREDENTIALS[${index}]: clientId and clientSecret are required`);
+          return;
+        }
+        configs.push({ name: config.name || `pool-${index + 1}`, ...config });
+      });
+    } catch (error) {
+      console.error('❌ SPOTIFY_CREDENTIALS is not valid JSON:', error.message);
+    }
+  }
+
+  return configs;
+}
+
+const CREDENTIAL_BUDGET = parseInt(process.env.SPOTIFY_CREDENTIAL_BUDGET || '120');
+
+module.exports = new CredentialPool(loadCredentialConfigs(), CREDENTIAL_BUDGET);
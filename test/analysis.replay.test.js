@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * End-to-end playlist analysis against recorded HTTP fixtures (HTTP_MODE=replay),
+ * so no network or Spotify credentials are needed. The fixtures in fixtures/http
+ * are recorded, never hand-edited: `npm run record:fixtures` re-records them from
+ * the playlists in scripts/fakeUpstream.js.
+ */
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 40000 + (process.pid % 10000);
+const BASE_URL = `http://localhost:${PORT}`;
+
+let server;
+
+before(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'clout-replay-'));
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      HTTP_MODE: 'replay',
+      HTTP_FIXTURES_PATH: path.join(__dirname, 'fixtures', 'http'),
+      SPOTIFY_CLIENT_ID: 'test-client',
+      SPOTIFY_CLIENT_SECRET: 'test-secret',
+      SPOTIFY_REFRESH_TOKEN: 'test-refresh',
+      ARTIST_TOOLS_ENABLED: 'true',
+      ARTIST_TOOLS_MIN_INTERVAL_MS: '0',
+      ARTIST_CACHE_PATH: path.join(tmp, 'artist-cache.json'),
+      SNAPSHOT_STORE_PATH: path.join(tmp, 'snapshots.json'),
+      HISTORY_CSV_PATH: path.join(tmp, 'imported-history.csv'),
+      RESULTS_PATH: path.join(tmp, 'results')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve();
+    });
+    server.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+});
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const job = await (await fetch(`${BASE_URL}/api/jobs/${jobId}`)).json();
+    if (job.state === 'completed' || job.state === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Job ${jobId} didn't finish`);
+}
+
+async function analyze(playlistId) {
+  const response = await fetch(`${BASE_URL}/api/analyze-public-playlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ playlistId })
+  });
+  assert.strictEqual(response.status, 202);
+
+  const job = await waitForJob((await response.json()).jobId);
+  assert.strictEqual(job.state, 'completed', JSON.stringify(job.error));
+  return job;
+}
+
+test('analyzes a recorded playlist end to end', async () => {
+  const job = await analyze('demo');
+
+  const { result } = job;
+  assert.strictEqual(result.playlistName, 'Playlist demo');
+  assert.strictEqual(result.tracks.length, 6);
+  assert.ok(result.resultId);
+
+  // Sorted highest score first
+  const scores = result.tracks.map(track => track.cloutScore);
+  assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+
+  // Artist 0 has a recorded artist.tools page; everyone else falls back to the estimate
+  const sources = Object.fromEntries(result.tracks.map(track => [track.artistId, track.followersWhenAddedSource]));
+  assert.strictEqual(sources.a0, 'artist.tools');
+  assert.ok(['a1', 'a2', 'a3', 'a4', 'a5'].every(id => sources[id] === 'estimate'));
+});
+
+test('follows the next links through every page of tracks', async () => {
+  const { result } = await analyze('pages');
+
+  // 230 tracks: pages of 100, 100 and 30
+  assert.strictEqual(result.tracks.length, 230);
+  assert.strictEqual(new Set(result.tracks.map(track => track.trackName)).size, 230);
+});
+
+test('waits out a 429 with retry-after and retries the request', async () => {
+  // The recording has the artist lookup answered 429 (retry-after: 1), then 200
+  const started = Date.now();
+  const { result } = await analyze('ratelimited');
+
+  assert.ok(Date.now() - started >= 1000);
+  assert.strictEqual(result.tracks.length, 3);
+  assert.ok(result.tracks.every(track => track.currentFollowers > 0));
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the history chain's stores out of the repo's data/ dir
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'clout-test-'));
+process.env.SNAPSHOT_STORE_PATH = path.join(tmp, 'snapshots.json');
+process.env.HISTORY_CSV_PATH = path.join(tmp, 'imported-history.csv');
+
+const scraper = require('../artistToolsScraper');
+const scoringModel = require('../scoringModel');
+const historyProviders = require('../historyProviders');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'artist-tools');
+const fixture = name => fs.readFileSync(path.join(FIXTURES_PATH, 'synthetic', name), 'utf8');
+const capturedPages = fs.readdirSync(path.join(FIXTURES_PATH, 'captured')).filter(file => file.endsWith('.html'));
+
+// Real pages saved from the site - the check that the parser matches live markup
+test('captured artist.tools pages parse into a listener series', { skip: capturedPages.length === 0 && 'no captured pages - run npm run capture:artist-tools' }, () => {
+  for (const file of capturedPages) {
+    const points = scraper.parseHistoricalData(fs.readFileSync(path.join(FIXTURES_PATH, 'captured', file), 'utf8'));
+
+    assert.ok(points.length >= 2, `${file}: expected a listener series, got ${points.length} points`);
+    for (let i = 1; i < points.length; i++) {
+      assert.ok(points[i].date >= points[i - 1].date, `${file}: points out of order`);
+    }
+  }
+});
+
+// The rest pin down the parser's rules on small hand-written pages
+
+test('parses the monthly listener series, oldest first', () => {
+  const points = scraper.parseHistoricalData(fixture('with-history.html'));
+
+  assert.deepStrictEqual(points, [
+    { date: '2024-01-01T00:00:00.000Z', value: 10000 },
+    { date: '2024-02-01T00:00:00.000Z', value: 20000 },
+    { date: '2024-03-01T00:00:00.000Z', value: 30000 },
+    { date: '2024-04-01T00:00:00.000Z', value: 45000 }
+  ]);
+});
+
+test('ignores chart coordinates and other series on the page', () => {
+  // The decoys are longer than the real series - the old heuristic picked them
+  const points = scraper.parseHistoricalData(fixture('with-history.html'));
+  assert.ok(points.every(point => point.value >= 10000 && point.value <= 45000));
+});
+
+test('a page without listener data parses to no points', () => {
+  assert.deepStrictEqual(scraper.parseHistoricalData(fixture('no-history.html')), []);
+  assert.deepStrictEqual(scraper.parseHistoricalData(''), []);
+  assert.deepStrictEqual(scraper.parseHistoricalData(undefined), []);
+});
+
+test('a series with malformed entries is rejected', () => {
+  const html = '<script type="application/json">{"monthlyListeners":[{"date":"2024-01-01","value":1},["2024-02-01",2]]}</script>';
+  assert.deepStrictEqual(scraper.parseHistoricalData(html), []);
+});
+
+test('getListenersAtDate interpolates between points', () => {
+  const points = scraper.parseHistoricalData(fixture('with-history.html'));
+
+  assert.strictEqual(scraper.getListenersAtDate(points, new Date('2024-02-01T00:00:00Z')), 20000);
+  // Halfway through March (31 days) -> halfway from 30000 to 45000
+  assert.strictEqual(scraper.getListenersAtDate(points, new Date('2024-03-16T12:00:00Z')), 37500);
+});
+
+test('getListenersAtDate clamps after the series and refuses before it', () => {
+  const points = scraper.parseHistoricalData(fixture('with-history.html'));
+
+  assert.strictEqual(scraper.getListenersAtDate(points, new Date('2025-01-01')), 45000);
+  assert.strictEqual(scraper.getListenersAtDate(points, new Date('2023-12-31')), null);
+  assert.strictEqual(scraper.getListenersAtDate([], new Date('2024-02-01')), null);
+});
+
+test('concurrent lookups for one artist share a single fetch', async (t) => {
+  scraper.clearCache();
+  let fetches = 0;
+  t.mock.method(scraper, 'fetchHistoricalData', async (artistName, spotifyId) => {
+    fetches++;
+    const data = { artistName, spotifyId, available: false, dataPoints: [] };
+    scraper.cache.set(spotifyId, { data, timestamp: Date.now() });
+    return data;
+  });
+
+  await Promise.all([
+    scraper.getHistoricalData('A', 'shared'),
+    scraper.getHistoricalData('A', 'shared')
+  ]);
+  await scraper.getHistoricalData('A', 'shared');
+
+  assert.strictEqual(fetches, 1);
+  assert.ok(scraper.getCachedHistoricalData('shared'));
+  assert.strictEqual(scraper.getCachedHistoricalData('never-fetched'), null);
+});
+
+test('prefetch stops waiting when the budget runs out', async (t) => {
+  scraper.clearCache();
+  t.mock.method(scraper, 'fetchHistoricalData', (artistName, spotifyId) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve({ artistName, spotifyId, available: false, dataPoints: [] }), 500);
+    t.after(() => clearTimeout(timer));
+  }));
+
+  const started = Date.now();
+  const { fetched, total } = await scraper.prefetchHistories([{ id: 'slow', name: 'Slow' }], 50);
+
+  assert.ok(Date.now() - started < 400);
+  assert.strictEqual(fetched, 0);
+  assert.strictEqual(total, 1);
+});
+
+test('listener history sources are skipped while scoring on followers', (t) => {
+  const active = scoringModel.active;
+  t.after(() => { scoringModel.active = active; });
+
+  scoringModel.active = scoringModel.get('v1');
+  assert.ok(!scoringModel.active.listenerEstimation);
+
+  const names = historyProviders.getUsableProviders().map(provider => provider.name);
+  assert.deepStrictEqual(names, ['snapshot', 'estimate']);
+});
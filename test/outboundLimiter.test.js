@@ -0,0 +1,56 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const outboundLimiter = require('../outboundLimiter');
+
+afterEach(() => {
+  outboundLimiter.pausedUntil.clear();
+});
+
+// An axios instance whose Spotify calls 429 on credential "banned" and succeed otherwise
+function createClient() {
+  const client = axios.create({
+    adapter: async (config) => {
+      const status = config.spotifyCredential === 'banned' ? 429 : 200;
+      const response = { data: {}, status, statusText: '', headers: { 'retry-after': '120' }, config, request: {} };
+      if (status === 429) {
+        throw new axios.AxiosError('Request failed with status code 429', 'ERR_BAD_REQUEST', config, {}, response);
+      }
+      return response;
+    }
+  });
+  outboundLimiter.install(client);
+  return client;
+}
+
+test('a 429 on one credential does not hold up the others', async () => {
+  const client = createClient();
+  const url = 'https://api.spotify.com/v1/artists';
+
+  await assert.rejects(client.get(url, { spotifyCredential: 'banned' }), error => error.response?.status === 429);
+
+  const started = Date.now();
+  const response = await client.get(url, { spotifyCredential: 'healthy' });
+  assert.strictEqual(response.status, 200);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('a wait past the cap is rejected instead of queued', async () => {
+  outboundLimiter.pause('banned', 120);
+
+  await assert.rejects(outboundLimiter.acquire('banned'), error => {
+    assert.strictEqual(error.message, 'SPOTIFY_RATE_LIMITED');
+    const retryIn = error.retryAt - Date.now();
+    assert.ok(retryIn > 119 * 1000 && retryIn <= 120 * 1000);
+    return true;
+  });
+});
+
+test('a short pause is waited out in full', async () => {
+  outboundLimiter.pause('cooling', 0.2);
+
+  const started = Date.now();
+  await outboundLimiter.acquire('cooling');
+  assert.ok(Date.now() - started >= 190);
+});
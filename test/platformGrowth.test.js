@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const platformGrowth = require('../platformGrowth');
+
+const TABLE = 'spotify-mau';
+const FALLBACK = 0.013;
+
+test('dates past the table grow at its trailing-year rate, not the fallback', () => {
+  const { trailingMonthlyRate } = platformGrowth.describe(TABLE);
+  const future = new Date('2030-06-01');
+
+  assert.ok(trailingMonthlyRate > 0 && trailingMonthlyRate < FALLBACK);
+  assert.strictEqual(+platformGrowth.getMonthlyRate(TABLE, future, FALLBACK).toFixed(4), trailingMonthlyRate);
+
+  // A 30-day month past the table grows by exactly one month of the trailing rate
+  const from = new Date('2030-01-01');
+  const to = new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+  const inflation = platformGrowth.getInflation(TABLE, from, to, FALLBACK);
+  assert.ok(Math.abs(inflation - (1 + platformGrowth.getMonthlyRate(TABLE, future, FALLBACK))) < 1e-9);
+});
+
+test('dates before the table use the fallback rate', () => {
+  assert.strictEqual(platformGrowth.getMonthlyRate(TABLE, new Date('2010-01-01'), FALLBACK), FALLBACK);
+
+  const from = new Date('2010-01-01');
+  const to = new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+  assert.ok(Math.abs(platformGrowth.getInflation(TABLE, from, to, FALLBACK) - (1 + FALLBACK)) < 1e-9);
+});
+
+test('inflation within the table multiplies the real quarters', () => {
+  // 2015 as a whole: 60M -> 91M
+  const inflation = platformGrowth.getInflation(TABLE, new Date('2015-01-01'), new Date('2016-01-01'), FALLBACK);
+  assert.ok(Math.abs(inflation - 91 / 60) < 1e-9);
+});
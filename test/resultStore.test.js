@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.RESULTS_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'clout-results-'));
+
+const resultStore = require('../resultStore');
+
+const result = (overrides) => ({
+  playlistId: 'p1',
+  playlistName: 'Playlist',
+  snapshotId: 'snap1',
+  isPublic: true,
+  normalizedScore: 100,
+  trackCount: 10,
+  artistStrategy: 'primary',
+  countArtistsOnce: false,
+  scoringModelVersion: 'v4',
+  ...overrides
+});
+
+test('the leaderboard lookup only sees results scored the requested way', () => {
+  resultStore.save(result({ normalizedScore: 100 }));
+  resultStore.save(result({ normalizedScore: 900, artistStrategy: 'max' }));
+  resultStore.save(result({ normalizedScore: 800, countArtistsOnce: true }));
+  resultStore.save(result({ normalizedScore: 700, scoringModelVersion: 'v1' }));
+
+  const config = { artistStrategy: 'primary', countArtistsOnce: false, scoringModelVersion: 'v4' };
+  const latest = resultStore.getLatestPerPlaylist(config);
+
+  assert.strictEqual(latest.length, 1);
+  assert.strictEqual(latest[0].normalizedScore, 100);
+
+  assert.deepStrictEqual(resultStore.getLatestPerPlaylist({ ...config, scoringModelVersion: 'v5' }), []);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Resvg } = require('@resvg/resvg-js');
+
+const { renderShareCardSvg, renderShareCardPng } = require('../shareCard');
+
+const TIERS = [
+  { name: 'Tastemaker', emoji: '💎', color: '#9B59B6' },
+  { name: 'Mainstream', emoji: '🎧', color: '#95A5A6' }
+];
+
+const RESULT = {
+  playlistName: 'Late Night 🌙 Drive',
+  normalizedScore: 1234,
+  tracks: [
+    { trackName: 'First Song 🔥', artistName: 'Artist One', cloutScore: 120, discoveryTier: 'Tastemaker', tierEmoji: '💎', tierColor: '#9B59B6' },
+    { trackName: 'Second Song', artistName: 'Artist Two', cloutScore: -5, discoveryTier: 'Mainstream', tierEmoji: '🎧', tierColor: '#95A5A6' }
+  ]
+};
+
+/**
+ * Decode a PNG to RGBA pixels by drawing it into a blank SVG
+ * @param {Buffer} png - PNG data
+ * @returns {{pixels: Buffer, width: number}} Pixels and row width
+ */
+function decodePng(png) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="1200" height="630">
+  <image width="1200" height="630" xlink:href="data:image/png;base64,${png.toString('base64')}"/>
+</svg>`;
+  const image = new Resvg(svg, { font: { loadSystemFonts: false } }).render();
+  return { pixels: image.pixels, width: image.width };
+}
+
+/**
+ * Count near-white pixels in a region (the card's white text on a dark background)
+ */
+function countWhitePixels({ pixels, width }, x0, y0, x1, y1) {
+  let count = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * width + x) * 4;
+      if (pixels[i] > 200 && pixels[i + 1] > 200 && pixels[i + 2] > 200) count++;
+    }
+  }
+  return count;
+}
+
+test('the card SVG has no emoji for resvg to draw as boxes', () => {
+  const svg = renderShareCardSvg(RESULT, TIERS);
+
+  // Plain symbols like the ♪ in the header are fine; DejaVu draws them
+  assert.ok(!/\p{Emoji_Presentation}|\uFE0F/u.test(svg));
+  assert.ok(svg.includes('Late Night Drive'));
+  assert.ok(svg.includes('First Song'));
+});
+
+test('the PNG draws text glyphs with the bundled fonts', () => {
+  const image = decodePng(renderShareCardPng(renderShareCardSvg(RESULT, TIERS)));
+
+  // Playlist title (44px, white) and the first track name (26px, white)
+  assert.ok(countWhitePixels(image, 60, 90, 700, 140) > 1000);
+  assert.ok(countWhitePixels(image, 60, 315, 500, 345) > 300);
+
+  // Nothing white where no text is placed
+  assert.strictEqual(countWhitePixels(image, 900, 90, 1140, 140), 0);
+});
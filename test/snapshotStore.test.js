@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DAY = 24 * 60 * 60 * 1000;
+const JAN_1 = Date.parse('2024-01-01T00:00:00Z');
+
+const snapshot = (artistId, timestamp, followers) => ({ artistId, timestamp, followers, popularity: 50 });
+
+// A file with same-day duplicates, lines out of order and a torn last line
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'clout-snapshots-'));
+const filePath = path.join(tmp, 'snapshots.ndjson');
+fs.writeFileSync(filePath, [
+  snapshot('a', JAN_1 + 2 * DAY, 300),
+  snapshot('a', JAN_1 + 1000, 100),
+  snapshot('a', JAN_1 + 5000, 110), // Same day, later - replaces the 100
+  snapshot('a', JAN_1 + DAY, 200),
+  snapshot('a', JAN_1 + 3000, 105), // Same day, but older than the 110
+  snapshot('b', JAN_1, 7)
+].map(line => JSON.stringify(line)).join('\n') + '\n{"artistId":"a","times');
+
+process.env.SNAPSHOT_STORE_PATH = filePath;
+const snapshotStore = require('../snapshotStore');
+
+test('loading keeps the latest snapshot per artist per day, sorted', () => {
+  assert.deepStrictEqual(snapshotStore.getAll('a').map(entry => entry.followers), [110, 200, 300]);
+  assert.deepStrictEqual(snapshotStore.getAll('b').map(entry => entry.followers), [7]);
+});
+
+test('loading compacts the file down to the kept snapshots', () => {
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(lines.length, 4);
+  assert.deepStrictEqual(lines.filter(line => line.artistId === 'a').map(line => line.followers), [110, 200, 300]);
+});
+
+test('getNearestBefore finds the last snapshot on or before a date', () => {
+  assert.strictEqual(snapshotStore.getNearestBefore('a', new Date(JAN_1)), null);
+  assert.strictEqual(snapshotStore.getNearestBefore('a', new Date(JAN_1 + 5000)).followers, 110);
+  assert.strictEqual(snapshotStore.getNearestBefore('a', new Date(JAN_1 + DAY + 1)).followers, 200);
+  assert.strictEqual(snapshotStore.getNearestBefore('a', new Date(JAN_1 + 30 * DAY)).followers, 300);
+  assert.strictEqual(snapshotStore.getNearestBefore('missing', new Date()), null);
+});
+
+test('recording twice in a day replaces that day\'s snapshot', (t) => {
+  let now = JAN_1 + 10 * DAY;
+  t.mock.method(Date, 'now', () => now);
+
+  snapshotStore.record({ id: 'c', followers: { total: 1 }, popularity: 10 });
+  now += 60 * 1000;
+  snapshotStore.record({ id: 'c', followers: { total: 2 }, popularity: 10 });
+  now += DAY;
+  snapshotStore.record({ id: 'c', followers: { total: 3 }, popularity: 10 });
+
+  assert.deepStrictEqual(snapshotStore.getAll('c').map(entry => entry.followers), [2, 3]);
+});
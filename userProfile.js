@@ -0,0 +1,55 @@
+const { getArtistCredits, getEarliestCredits } = require('./artistAggregation');
+
+/**
+ * User Clout Profile
+ *
+ * Combines analyses of every playlist a user owns into one listener-level score.
+ * Each artist counts once, credited to the playlist (and score) where the user
+ * added them first, so keeping the same artist on ten playlists doesn't inflate it.
+ */
+
+/**
+ * Build a user's clout profile from their playlist analyses
+ * @param {Array<Object>} analyses - Completed analysis results, one per playlist
+ * @returns {Object} Profile
+ */
+function buildUserProfile(analyses) {
+  // Earliest add of each artist across all playlists
+  const firstDiscoveries = getEarliestCredits(analyses.flatMap(getArtistCredits));
+
+  const artists = [...firstDiscoveries.values()].sort((a, b) => b.cloutScore - a.cloutScore);
+  const totalClout = artists.reduce((sum, artist) => sum + artist.cloutScore, 0);
+  const averageClout = artists.length ? totalClout / artists.length : 0;
+
+  // Same size normalization as a single playlist, over distinct artists instead of tracks
+  const personalScore = averageClout * Math.sqrt(artists.length);
+
+  const contributions = analyses.map(analysis => {
+    const credited = artists.filter(artist => artist.playlistId === analysis.playlistId);
+    const clout = credited.reduce((sum, artist) => sum + artist.cloutScore, 0);
+
+    return {
+      playlistId: analysis.playlistId,
+      playlistName: analysis.playlistName,
+      resultId: analysis.resultId,
+      trackCount: analysis.trackCount,
+      normalizedScore: analysis.normalizedScore,
+      artistsFirstFound: credited.length,
+      totalClout: Math.round(clout),
+      // Share of the user's total clout that came from this playlist
+      share: totalClout ? Math.round(clout / totalClout * 1000) / 10 : 0
+    };
+  }).sort((a, b) => b.totalClout - a.totalClout);
+
+  return {
+    personalScore: Math.round(personalScore),
+    averageClout: Math.round(averageClout),
+    totalClout: Math.round(totalClout),
+    artistCount: artists.length,
+    playlistCount: analyses.length,
+    contributions,
+    artists
+  };
+}
+
+module.exports = { buildUserProfile };